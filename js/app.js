@@ -9,6 +9,13 @@ import { Humanizer } from './modules/Humanizer.js';
 import { AudioPlayer } from './modules/AudioPlayer.js';
 import { Visualizer } from './modules/Visualizer.js';
 import { UI } from './modules/UI.js';
+import { TempoMap } from './modules/TempoMap.js';
+import { MeterMap } from './modules/MeterMap.js';
+import { NoteModel } from './modules/NoteModel.js';
+import { GrooveTemplate } from './modules/GrooveTemplate.js';
+import { StylePresets } from './modules/StylePresets.js';
+import { TrackInfo } from './modules/TrackInfo.js';
+import { RegionMap } from './modules/RegionMap.js';
 
 class MIDIHumanizerApp {
   constructor() {
@@ -19,12 +26,17 @@ class MIDIHumanizerApp {
     this.audioPlayer = new AudioPlayer();
     this.visualizer = new Visualizer();
     this.ui = new UI();
+    this.grooveTemplates = new GrooveTemplate();
+    this.stylePresets = new StylePresets();
     
     // Application state
     this.originalMidiData = null;
     this.humanizedMidiData = null;
+    this.tempoMap = null;
+    this.meterMap = null;
     this.currentAnalysis = null;
     this.lastUsedSettings = null;
+    this.regions = [];
     
     this.init();
   }
@@ -39,12 +51,25 @@ class MIDIHumanizerApp {
       onHumanize: (file, settings) => this.handleHumanize(file, settings),
       onPlayOriginal: (data) => this.handlePlayOriginal(data),
       onPlayHumanized: (data) => this.handlePlayHumanized(data),
-      onStopPlayback: () => this.handleStopPlayback()
+      onStopPlayback: () => this.handleStopPlayback(),
+      onCreateGrooveTemplate: (file, name, bars) => this.handleCreateGrooveTemplate(file, name, bars),
+      onDeleteGrooveTemplate: (name) => this.handleDeleteGrooveTemplate(name),
+      onLearnProfile: (scoreFile, performanceFile) => this.handleLearnProfile(scoreFile, performanceFile),
+      onStyleChange: (id) => this.handleStyleChange(id),
+      onSaveStylePreset: (json) => this.handleSaveStylePreset(json),
+      onDeleteStylePreset: (id) => this.handleDeleteStylePreset(id),
+      onExportStylePreset: (id) => this.handleExportStylePreset(id),
+      onImportStylePresets: (file) => this.handleImportStylePresets(file),
+      onRegionsChange: (regions) => this.handleRegionsChange(regions)
     });
+    this.visualizer.onRegionSelect = (start, end) => this.handleRegionSelect(start, end);
 
     // Initialize UI
     this.ui.init();
     this.ui.initResponsive();
+    this.ui.setGrooveTemplates(this.grooveTemplates.listTemplates());
+    this.ui.setStylePresets(this.stylePresets.list());
+    this.handleStyleChange(this.ui.getSelectedStyle());
 
     // Setup audio player progress callback
     this.audioPlayer.setProgressCallback((progress) => {
@@ -61,10 +86,15 @@ class MIDIHumanizerApp {
     try {
       const arrayBuffer = await file.arrayBuffer();
       this.originalMidiData = this.midiParser.parseMIDI(arrayBuffer);
+      this.tempoMap = TempoMap.fromMIDIData(this.originalMidiData);
+      this.meterMap = MeterMap.fromMIDIData(this.originalMidiData);
+      this.ui.setTracks(TrackInfo.describe(this.originalMidiData));
+      this.handleRegionsChange(this.ui.getRegions());
       
       console.log('📁 File loaded:', {
         tracks: this.originalMidiData.tracks.length,
-        ticksPerQuarter: this.originalMidiData.ticksPerQuarter
+        ticksPerQuarter: this.originalMidiData.ticksPerQuarter,
+        tempoChanges: this.tempoMap.getTempoChanges().length
       });
       
       this.ui.showStatus('MIDIファイルが読み込まれました', 'info');
@@ -74,6 +104,160 @@ class MIDIHumanizerApp {
     }
   }
 
+  /**
+   * Extract a groove template from a reference MIDI file and save it
+   */
+  async handleCreateGrooveTemplate(file, name, bars) {
+    try {
+      const arrayBuffer = await file.arrayBuffer();
+      const referenceData = this.midiParser.parseMIDI(arrayBuffer);
+      const template = this.grooveTemplates.extract(referenceData, { name, bars });
+
+      this.grooveTemplates.saveTemplate(template);
+      this.ui.setGrooveTemplates(this.grooveTemplates.listTemplates(), name);
+
+      console.log('🥁 Groove template saved:', {
+        name,
+        bars,
+        timeSignature: template.timeSignature.join('/'),
+        notes: template.noteCount
+      });
+      this.ui.showStatus(`グルーヴテンプレート「${name}」を保存しました`, 'info');
+    } catch (error) {
+      console.error('Groove template error:', error);
+      this.ui.showError(`グルーヴテンプレート作成エラー: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a saved groove template
+   */
+  handleDeleteGrooveTemplate(name) {
+    this.grooveTemplates.deleteTemplate(name);
+    this.ui.setGrooveTemplates(this.grooveTemplates.listTemplates());
+    this.ui.showStatus(`グルーヴテンプレート「${name}」を削除しました`, 'info');
+  }
+
+  /**
+   * Learn a humanization profile from a score and a recorded performance of it
+   */
+  async handleLearnProfile(scoreFile, performanceFile) {
+    try {
+      const scoreData = this.midiParser.parseMIDI(await scoreFile.arrayBuffer());
+      const performanceData = this.midiParser.parseMIDI(await performanceFile.arrayBuffer());
+      const profile = this.phraseDetector.learnFromPerformance(scoreData, performanceData);
+
+      this.ui.setLearnedProfile(profile);
+
+      console.log('🎓 Performance profile learned:', {
+        matchedNotes: profile.matchedNotes,
+        scoreNotes: profile.scoreNotes,
+        performanceNotes: profile.performanceNotes,
+        timingSpreadMs: Math.round(profile.overall.timingSpread * 1000),
+        velocitySpread: profile.overall.velocitySpread.toFixed(1)
+      });
+      this.ui.showStatus('演奏からプロファイルを学習しました', 'info');
+    } catch (error) {
+      console.error('Learning error:', error);
+      this.ui.showError(`学習エラー: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show the selected style in the preset editor
+   */
+  handleStyleChange(id) {
+    this.ui.setStylePresetEditor(this.stylePresets.exportPreset(id));
+  }
+
+  /**
+   * Save the preset JSON from the editor as a user preset
+   */
+  handleSaveStylePreset(json) {
+    try {
+      const [id] = this.stylePresets.importPresets(json);
+      this.ui.setStylePresets(this.stylePresets.list(), id);
+      this.handleStyleChange(id);
+      this.ui.showStatus(`スタイルプリセット「${this.stylePresets.getPreset(id).name}」を保存しました`, 'info');
+    } catch (error) {
+      console.error('Style preset error:', error);
+      this.ui.showError(`スタイルプリセット保存エラー: ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete a user preset
+   */
+  handleDeleteStylePreset(id) {
+    try {
+      const name = this.stylePresets.getPreset(id).name;
+      this.stylePresets.deletePreset(id);
+      this.ui.setStylePresets(this.stylePresets.list());
+      this.handleStyleChange(this.ui.getSelectedStyle());
+      this.ui.showStatus(`スタイルプリセット「${name}」を削除しました`, 'info');
+    } catch (error) {
+      this.ui.showError(`スタイルプリセット削除エラー: ${error.message}`);
+    }
+  }
+
+  /**
+   * Download a style as a JSON file
+   */
+  handleExportStylePreset(id) {
+    const preset = this.stylePresets.getPreset(id);
+    this.ui.downloadText(`${preset.name}.json`, this.stylePresets.exportPreset(id), 'application/json');
+  }
+
+  /**
+   * Import presets from a JSON file (one preset or an array of presets)
+   */
+  async handleImportStylePresets(file) {
+    try {
+      const ids = this.stylePresets.importPresets(await file.text());
+      this.ui.setStylePresets(this.stylePresets.list(), ids[0]);
+      this.handleStyleChange(ids[0]);
+
+      console.log('🎨 Style presets imported:', ids);
+      this.ui.showStatus(`${ids.length}件のスタイルプリセットを読み込みました`, 'info');
+    } catch (error) {
+      console.error('Style preset import error:', error);
+      this.ui.showError(`スタイルプリセット読み込みエラー: ${error.message}`);
+    }
+  }
+
+  /**
+   * Highlight the regions of the region table in the visualizer
+   */
+  handleRegionsChange(regions) {
+    this.regions = regions;
+    if (!this.meterMap) return;
+
+    this.visualizer.setRegions(RegionMap.fromRegions(regions, this.meterMap).regions);
+  }
+
+  /**
+   * Add the range dragged in the visualizer as a region, extended to whole bars
+   */
+  handleRegionSelect(start, end) {
+    if (!this.meterMap) return;
+
+    const startBar = this.meterMap.getPosition(start).bar + 1;
+    const endBar = this.meterMap.getPosition(Math.max(start, end - 1)).bar + 1;
+    this.ui.addRegion({ startBar, endBar });
+
+    console.log(`🔒 Region added: bars ${startBar}-${endBar}`);
+  }
+
+  /**
+   * Convert the extra anchor positions of the settings to ticks (bars are numbered from 1)
+   */
+  getAnchorTicks(positions) {
+    const meterMap = this.meterMap || MeterMap.fromMIDIData(this.originalMidiData);
+    return positions.map(position => position.tick !== undefined ?
+      position.tick :
+      meterMap.getBarTick(Math.max(0, position.bar - 1)));
+  }
+
   /**
    * Handle humanization process
    */
@@ -97,15 +281,52 @@ class MIDIHumanizerApp {
         settings
       );
 
-      // Perform humanization
+      const grooveTemplate = settings.grooveTemplate ? this.grooveTemplates.getTemplate(settings.grooveTemplate) : null;
+
+      // Perform humanization driven by the detected phrase structure
       console.log('🎭 Applying humanization...');
-      this.humanizedMidiData = this.humanizer.humanizeMIDI(
-        this.originalMidiData,
-        settings.style,
-        settings.intensity,
-        settings.seed,
-        true // isUserUpload
-      );
+      this.humanizedMidiData = this.humanizer.humanizeMIDI(this.originalMidiData, {
+        style: this.stylePresets.getPreset(settings.style),
+        intensity: settings.intensity,
+        seed: settings.seed,
+        isUserUpload: true,
+        analysis: this.currentAnalysis,
+        timingVariation: settings.timingVariation,
+        velocityVariation: settings.velocityVariation,
+        dynamicRange: settings.dynamicRange,
+        chordRoll: settings.chordRoll,
+        rollFinalCadence: settings.rollFinalCadence,
+        sustainPedal: settings.sustainPedal,
+        keepExistingPedal: settings.keepExistingPedal,
+        rubato: settings.rubato,
+        noiseModel: settings.noiseModel,
+        swing: settings.swing,
+        swingRatio: settings.swingRatio,
+        quantize: settings.quantize,
+        quantizeStrength: settings.quantizeStrength,
+        quantizeWindow: settings.quantizeWindow,
+        quantizeEnds: settings.quantizeEnds,
+        anchors: settings.anchors,
+        anchorEveryBars: settings.anchorEveryBars,
+        anchorTicks: this.getAnchorTicks(settings.anchorPositions),
+        grooveTemplate,
+        grooveStrength: settings.grooveStrength,
+        learnedProfile: settings.useLearnedProfile ? this.phraseDetector.learnedPatterns.performanceProfile : null,
+        excludeDrums: settings.excludeDrums,
+        percussion: settings.percussion,
+        trackSettings: (settings.trackSettings || []).map(track => track && {
+          ...track,
+          style: track.style ? this.stylePresets.getPreset(track.style) : null
+        }),
+        regions: settings.regions.length > 0 ?
+          settings.regions.map(region => ({
+            ...region,
+            style: region.style ? this.stylePresets.getPreset(region.style) : null
+          })) :
+          null,
+        regionBlend: settings.regionBlend
+      });
+      this.logHumanizerReport(this.humanizer.report);
 
       // Initialize visualizer with results
       this.initializeVisualization();
@@ -117,6 +338,16 @@ class MIDIHumanizerApp {
         this.currentAnalysis
       );
 
+      // A template in another meter fits no bar of this file; say so instead of ignoring it
+      const meterMap = this.meterMap || MeterMap.fromMIDIData(this.originalMidiData);
+      if (grooveTemplate && !this.grooveTemplates.fitsMeter(grooveTemplate, meterMap)) {
+        this.ui.showStatus(
+          `グルーヴテンプレート「${grooveTemplate.name}」は${grooveTemplate.timeSignature.join('/')}拍子用のため、` +
+          `${meterMap.getTimeSignatureLabel(0)}拍子のこの曲には適用されませんでした`,
+          'warning'
+        );
+      }
+
       console.log('✅ Humanization completed successfully');
 
     } catch (error) {
@@ -126,14 +357,50 @@ class MIDIHumanizerApp {
     }
   }
 
+  /**
+   * Log what the humanizer stages did
+   * @param {Object} report - Humanizer report of the last run (see Humanizer.humanizeMIDI)
+   */
+  logHumanizerReport(report) {
+    if (report.regions !== null) {
+      console.log(`🔒 Regions: ${report.regions} humanized, the rest locked`);
+    }
+    report.quantize.forEach(({ track, grid, moved, notes }) => {
+      console.log(`📏 Quantize (${grid}): ${moved} of ${notes} notes moved on track ${track + 1}`);
+    });
+    report.swing.forEach(({ subdivision, ratio, swungPairs, tripletPairs }) => {
+      console.log(`🎷 Swing (${subdivision} ${ratio}%): ${swungPairs} pairs swung, ${tripletPairs} triplet pairs kept`);
+    });
+    report.percussion.forEach(({ hits, ghostNotes, flams }) => {
+      console.log(`🥁 Percussion: ${hits} hits, ${ghostNotes} ghost notes, ${flams} flams`);
+    });
+    report.pedal.forEach(({ channel, changes }) => {
+      console.log(`🦶 Sustain pedal: ${changes} pedal changes on channel ${channel + 1}`);
+    });
+    if (report.rubato) {
+      const { mode, phrases, segments } = report.rubato;
+      console.log(`🎼 Rubato (${mode}): ${phrases} phrases, ${segments} tempo segments`);
+    }
+    if (report.anchors) {
+      console.log(`⚓ Anchors: ${report.anchors.positions} positions, drift removed at ${report.anchors.drifts}`);
+    }
+  }
+
   /**
    * Analyze musical structure with enhanced phrase detection
    */
   async analyzeMusicalStructure(midiData, settings) {
+    const tempoMap = this.tempoMap || TempoMap.fromMIDIData(midiData);
+    const meterMap = this.meterMap || MeterMap.fromMIDIData(midiData);
+    const style = this.stylePresets.getPreset(settings.style);
+
+    // Chord windows and melody detection follow the file's resolution
+    this.humanizer.setTimingContext(midiData);
+
     const analysis = {
       tracks: [],
-      globalTempo: 120,
-      timeSignature: [4, 4],
+      globalTempo: tempoMap.getBPMAt(0),
+      timeSignature: [meterMap.segments[0].numerator, meterMap.segments[0].denominator],
       phrases: [],
       enhancedFeatures: {}
     };
@@ -173,7 +440,8 @@ class MIDIHumanizerApp {
       globalPhrases = this.phraseDetector.identifyPhraseBoundaries(
         melodyTrack, 
         true, 
-        settings.phraseDetectionMode
+        settings.phraseDetectionMode,
+        tempoMap
       );
     } else {
       // Use the first track as fallback
@@ -181,7 +449,8 @@ class MIDIHumanizerApp {
       globalPhrases = this.phraseDetector.identifyPhraseBoundaries(
         midiData.tracks[0], 
         true, 
-        settings.phraseDetectionMode
+        settings.phraseDetectionMode,
+        tempoMap
       );
     }
 
@@ -197,7 +466,7 @@ class MIDIHumanizerApp {
       
       // Other musical analysis
       const melody = this.humanizer.analyzeMelody(track);
-      const rhythm = this.humanizer.analyzeRhythmicContext(track, settings.style);
+      const rhythm = this.humanizer.analyzeRhythmicContext(track, style);
 
       const trackAnalysis = {
         phrasing: globalPhrases, // Use global phrases for all tracks
@@ -221,15 +490,20 @@ class MIDIHumanizerApp {
     // Store global phrases for visualization
     analysis.phrases = globalPhrases;
 
+    // Keys and harmonic functions across all tracks (drive the tension dynamics)
+    analysis.harmony = this.humanizer.analyzeHarmony(midiData.tracks);
+
     // Enhanced analysis features
     analysis.enhancedFeatures = {
       totalPhrases: analysis.phrases.length,
       averagePhraseDuration: analysis.phrases.length > 0 ? 
-        analysis.phrases.reduce((sum, p) => sum + (p.end - p.start), 0) / analysis.phrases.length / 1000 : 0,
-      styleCharacteristics: this.getStyleCharacteristics(settings.style),
+        analysis.phrases.reduce((sum, p) => sum + tempoMap.durationInSeconds(p.start, p.end), 0) / analysis.phrases.length : 0,
+      tempoChanges: tempoMap.getTempoChanges(),
+      styleCharacteristics: this.getStyleCharacteristics(style),
       processingSettings: settings,
       analysisMethod: 'unified', // Indicate unified analysis was used
-      melodyTrackFound: melodyTrackNotes.length > 0
+      melodyTrackFound: melodyTrackNotes.length > 0,
+      harmonicProgression: this.humanizer.harmonicAnalyzer.summarize(analysis.harmony)
     };
 
     return analysis;
@@ -298,36 +572,17 @@ class MIDIHumanizerApp {
 
   /**
    * Get style characteristics for display (2-4)
+   * @param {Object} style - Style preset (see StylePresets)
    */
   getStyleCharacteristics(style) {
-    const characteristics = {
-      classical: {
-        name: 'Classical',
-        description: 'クラシック音楽スタイル',
-        effects: ['表現力豊かな演奏', '和声の響きを重視', 'レガート奏法', 'ダイナミクスの変化'],
-        timing: { base: 15, variation: 1.2 },
-        velocity: { base: 12, variation: 1.4 },
-        characteristics: ['フレーズの自然な起伏', '和音の美しい響き', '歌うような表現']
-      },
-      pop: {
-        name: 'Pop',
-        description: 'ポップスタイル',
-        effects: ['グルーヴ感重視', 'コード感の強化', '歌いやすい表現', 'リズムの安定性'],
-        timing: { base: 8, variation: 0.8 },
-        velocity: { base: 6, variation: 0.7 },
-        characteristics: ['ビートの強調', 'メロディの親しみやすさ', 'コード進行の明確さ']
-      },
-      jazz: {
-        name: 'Jazz',
-        description: 'ジャズスタイル',
-        effects: ['スウィング感', 'シンコペーション強調', 'アーティキュレーション', '即興的表現'],
-        timing: { base: 20, variation: 1.0 },
-        velocity: { base: 15, variation: 1.1 },
-        characteristics: ['スウィングリズム', 'コード変化の強調', 'アドリブ的なニュアンス']
-      }
+    return {
+      name: style.name,
+      description: style.description || '',
+      effects: style.effects || [],
+      timing: style.timing,
+      velocity: style.velocity,
+      characteristics: style.characteristics || []
     };
-
-    return characteristics[style] || characteristics.classical;
   }
 
   /**
@@ -343,11 +598,12 @@ class MIDIHumanizerApp {
 
       // Extract notes for visualization
       const originalNotes = this.extractNotesForVisualization(this.originalMidiData);
-      const humanizedNotes = this.extractNotesForVisualization(this.humanizedMidiData);
+      const humanizedNotes = this.extractNotesForVisualization(this.humanizedMidiData, this.humanizer.report.hands);
       const phrases = this.currentAnalysis?.phrases || [];
 
       // Set visualization data
-      this.visualizer.setData(originalNotes, humanizedNotes, phrases);
+      this.visualizer.setData(originalNotes, humanizedNotes, phrases, this.tempoMap, this.meterMap);
+      this.handleRegionsChange(this.regions);
 
       console.log('🎨 Visualization initialized', {
         originalNotes: originalNotes.length,
@@ -359,18 +615,21 @@ class MIDIHumanizerApp {
 
   /**
    * Extract notes for visualization
+   * @param {Object} midiData - Parsed MIDI data
+   * @param {Map|null} hands - Note-on event -> hand from the humanizer report, for coloring
    */
-  extractNotesForVisualization(midiData) {
+  extractNotesForVisualization(midiData, hands = null) {
     if (!midiData || !midiData.tracks) return [];
     
-    const allNotes = [];
-    
-    midiData.tracks.forEach(track => {
-      const notes = this.humanizer.extractNotesFromEvents(track);
-      allNotes.push(...notes);
-    });
-    
-    return allNotes.sort((a, b) => a.startTime - b.startTime);
+    const notes = NoteModel.extractAllNotes(midiData);
+    if (hands) {
+      notes.forEach(note => {
+        if (hands.has(note.noteOnEvent)) {
+          note.hand = hands.get(note.noteOnEvent);
+        }
+      });
+    }
+    return notes;
   }
 
   /**
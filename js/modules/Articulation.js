@@ -0,0 +1,142 @@
+/**
+ * Articulation Module
+ * Shapes note lengths: legato overlap, staccato shortening and cadential lengthening
+ */
+
+import { NoteModel } from './NoteModel.js';
+import { StylePresets } from './StylePresets.js';
+
+export class Articulation {
+  /**
+   * Get articulation settings for a style (amounts scaled by intensity)
+   * @param {string|Object} style - Style id or preset (see StylePresets)
+   */
+  getStyleSettings(style) {
+    return StylePresets.resolve(style).articulation;
+  }
+
+  /**
+   * Apply articulation to a track
+   * Note-off events are placed relative to the humanized note-on, so a note's length is
+   * shaped on purpose instead of resulting from two unrelated timing shifts.
+   * @param {Array} notes - Notes from NoteModel.extractNotes for the original track
+   * @param {Array} events - Humanized copy of the track (same indices as the original)
+   * @param {Object} context - { style, timingIntensity, rng, tempoMap, beatTicks, phrases, lengthRatios }
+   */
+  apply(notes, events, context) {
+    const { style, timingIntensity, rng, tempoMap, beatTicks, phrases = [], lengthRatios = null } = context;
+    const settings = this.getStyleSettings(style);
+    const groups = NoteModel.groupSimultaneous(notes, beatTicks / 16);
+    // Groups are sorted by pitch, so the earliest note is not group[0]; a group's onset is its minimum
+    const onsetOf = group => Math.min(...group.map(note => note.startTime));
+    const melody = groups.map(group => group[group.length - 1]);
+    const cadential = this.findCadentialNotes(groups, phrases, onsetOf);
+    const minDuration = Math.max(1, Math.round(beatTicks / 32));
+
+    // Written lengths, adjusted for staccato and cadences
+    const targetEnds = new Map();
+    groups.forEach((group, groupIndex) => {
+      const nextGroup = groups[groupIndex + 1];
+      const interOnset = nextGroup ? onsetOf(nextGroup) - onsetOf(group) : Infinity;
+
+      group.forEach(note => {
+        if (note.noteOffIndex === -1) return;
+
+        let duration = note.duration;
+
+        // Learned from a performance (played / written length) in place of the staccato rule
+        const learnedRatio = lengthRatios?.get(note);
+        if (learnedRatio !== undefined) {
+          duration *= 1 + (learnedRatio - 1) * timingIntensity;
+        }
+        // Staccato-like: much shorter than the time to the next onset
+        else if (note.duration <= beatTicks / 2 && note.duration <= interOnset * 0.5) {
+          duration *= 1 - (1 - settings.staccatoRatio) * timingIntensity;
+        }
+
+        // Cadential notes are held longer
+        const cadenceWeight = cadential.get(note) || 0;
+        duration *= 1 + settings.cadenceLengthening * timingIntensity * cadenceWeight;
+
+        // Small natural variation
+        duration *= 1 + settings.durationVariation * timingIntensity * (rng() - 0.5) * 2;
+
+        targetEnds.set(note, events[note.noteOnIndex].time + duration);
+      });
+    });
+
+    // Legato overlap between consecutive melody notes
+    for (let i = 0; i < melody.length - 1; i++) {
+      const current = melody[i];
+      const next = melody[i + 1];
+      if (current.noteOffIndex === -1 || cadential.has(current)) continue;
+
+      // Written legato: the note ends where the next one starts (held notes are left alone)
+      const writtenLegato = Math.abs(current.endTime - next.startTime) <= beatTicks / 8;
+      if (writtenLegato) {
+        const overlap = tempoMap.secondsToTicksAt(next.startTime, Math.abs(settings.legatoOverlap)) * timingIntensity;
+        const nextOnset = events[next.noteOnIndex].time;
+        targetEnds.set(current, settings.legatoOverlap >= 0 ? nextOnset + overlap : nextOnset - overlap);
+      }
+    }
+
+    // Place note-offs, keeping notes audible and clear of the next note of the same pitch
+    const nextSamePitch = this.findNextSamePitch(notes);
+    targetEnds.forEach((end, note) => {
+      const onset = events[note.noteOnIndex].time;
+      let newEnd = Math.max(onset + minDuration, end);
+
+      if (nextSamePitch.has(note)) {
+        newEnd = Math.min(newEnd, events[nextSamePitch.get(note).noteOnIndex].time - 1);
+      }
+
+      events[note.noteOffIndex].time = Math.max(onset + 1, Math.round(newEnd));
+    });
+  }
+
+  /**
+   * Find cadential notes with a weight from 0 to 1
+   * The last onset of each phrase is fully cadential; notes in the final 15% ramp in
+   * @param {Function} onsetOf - Onset tick of a group
+   */
+  findCadentialNotes(groups, phrases, onsetOf) {
+    const cadential = new Map();
+
+    phrases.forEach(phrase => {
+      const phraseLength = Math.max(1, phrase.end - phrase.start);
+      const phraseGroups = groups.filter(group =>
+        onsetOf(group) >= phrase.start && onsetOf(group) < phrase.end
+      );
+      if (phraseGroups.length === 0) return;
+
+      phraseGroups.forEach(group => {
+        const position = (onsetOf(group) - phrase.start) / phraseLength;
+        if (position > 0.85) {
+          group.forEach(note => cadential.set(note, (position - 0.85) / 0.15));
+        }
+      });
+
+      phraseGroups[phraseGroups.length - 1].forEach(note => cadential.set(note, 1));
+    });
+
+    return cadential;
+  }
+
+  /**
+   * Map each note to the next note with the same channel and pitch
+   */
+  findNextSamePitch(notes) {
+    const next = new Map();
+    const previousByKey = new Map();
+
+    notes.forEach(note => {
+      const key = `${note.channel}:${note.pitch}`;
+      if (previousByKey.has(key)) {
+        next.set(previousByKey.get(key), note);
+      }
+      previousByKey.set(key, note);
+    });
+
+    return next;
+  }
+}
@@ -3,6 +3,21 @@
  * Handles MIDI playback using Web Audio API
  */
 
+import { TempoMap } from './TempoMap.js';
+import { NoteModel } from './NoteModel.js';
+
+// Control changes followed during playback
+const CONTROLLERS = {
+  VOLUME: 7,
+  EXPRESSION: 11,
+  SUSTAIN: 64,
+  SOSTENUTO: 66,
+  SOFT: 67
+};
+const PEDAL_THRESHOLD = 64;   // Pedal values from 64 count as pressed
+const DEFAULT_VOLUME = 100;   // General MIDI default channel volume
+const SOFT_PEDAL_LEVEL = 0.7; // Level of notes played with the soft pedal down
+
 export class AudioPlayer {
   constructor() {
     this.audioContext = null;
@@ -33,12 +48,18 @@ export class AudioPlayer {
   /**
    * Create piano note using lightweight synthesis
    * Inspired by PicoTune approach for efficiency
+   * @param {number} frequency - Note frequency in Hz
+   * @param {number} velocity - Note velocity
+   * @param {number} startTime - Audio context start time
+   * @param {number} duration - Sounding duration in milliseconds (including pedal sustain)
+   * @param {AudioNode|null} destination - Channel output (defaults to the speakers)
+   * @param {number} level - Extra level factor (soft pedal)
    */
-  createPianoNote(frequency, velocity = 64, startTime, duration = 1000) {
+  createPianoNote(frequency, velocity = 64, startTime, duration = 1000, destination = null, level = 1) {
     if (!this.audioContext) return null;
 
     // Calculate timing values
-    const noteDuration = Math.min(duration / 1000, 2.0); // Cap max duration
+    const noteDuration = Math.max(0.01, duration / 1000);
     const releaseTime = Math.min(0.3, noteDuration * 0.3); // Much shorter release
 
     // Use single oscillator for better performance (like PicoAudio.js approach)
@@ -61,22 +82,23 @@ export class AudioPlayer {
     oscillator.frequency.setValueAtTime(frequency, startTime);
     
     // Simpler volume calculation
-    const baseVolume = Math.max(0.1, Math.min(0.6, velocity / 127 * 0.4));
+    const baseVolume = Math.max(0.1, Math.min(0.6, velocity / 127 * 0.4)) * level;
     
     // Simplified envelope (faster attack, quick decay, no sustain complexity)
     const attackTime = 0.005; // Very quick attack
     const decayTime = Math.min(0.05, noteDuration * 0.1); // Proportional but capped decay
     
     // Simple envelope (inspired by lightweight MIDI players like Picotune)
+    // Long (pedaled) notes keep fading like a piano string instead of holding a flat level
     gainNode.gain.setValueAtTime(0, startTime);
     gainNode.gain.linearRampToValueAtTime(baseVolume, startTime + attackTime);
     gainNode.gain.linearRampToValueAtTime(baseVolume * 0.8, startTime + attackTime + decayTime);
-    gainNode.gain.setValueAtTime(baseVolume * 0.8, startTime + noteDuration);
-    gainNode.gain.exponentialRampToValueAtTime(0.001, startTime + noteDuration + releaseTime);
+    gainNode.gain.setTargetAtTime(baseVolume * 0.2, startTime + attackTime + decayTime, 1.5);
+    gainNode.gain.setTargetAtTime(0, startTime + noteDuration, releaseTime / 3);
     
     // Connect audio graph
     oscillator.connect(gainNode);
-    gainNode.connect(this.audioContext.destination);
+    gainNode.connect(destination || this.audioContext.destination);
     
     // Schedule oscillator with shorter, more efficient timing
     oscillator.start(startTime);
@@ -187,8 +209,10 @@ export class AudioPlayer {
     const currentTime = this.audioContext.currentTime;
     this.playbackStartTime = currentTime;
     
-    // Convert MIDI to audio events
-    const audioEvents = this.convertMIDIToAudioEvents(midiData);
+    // Convert MIDI to audio events (milliseconds, following the file's tempo changes)
+    const tempoMap = TempoMap.fromMIDIData(midiData);
+    const controllers = this.collectControllerChanges(midiData, tempoMap);
+    const audioEvents = this.convertMIDIToAudioEvents(midiData, tempoMap, controllers);
     
     // Calculate playback duration
     this.playbackDuration = audioEvents.length > 0 ? 
@@ -199,6 +223,7 @@ export class AudioPlayer {
 
     // Schedule audio events
     const startDelay = 0.1; // Small delay to ensure proper timing
+    const channelOutputs = this.createChannelOutputs(controllers, currentTime + startDelay);
     
     audioEvents.forEach(event => {
       const scheduleTime = currentTime + startDelay + (event.time / 1000);
@@ -208,7 +233,9 @@ export class AudioPlayer {
         frequency,
         event.velocity,
         scheduleTime,
-        event.duration
+        event.duration,
+        channelOutputs.get(event.channel) || null,
+        event.softPedal ? SOFT_PEDAL_LEVEL : 1
       );
     });
 
@@ -220,37 +247,191 @@ export class AudioPlayer {
 
   /**
    * Convert MIDI data to audio events
+   * Notes released while the sustain pedal (or a sostenuto pedal that caught them) is down
+   * keep sounding until the pedal lifts or the same key is struck again.
+   * @param {Object} midiData - Parsed MIDI data
+   * @param {TempoMap} tempoMap - Tempo map used to convert ticks to milliseconds
+   * @param {Map} controllers - Controller changes from collectControllerChanges
+   * @returns {Array} Audio events with time and duration in milliseconds
    */
-  convertMIDIToAudioEvents(midiData) {
+  convertMIDIToAudioEvents(midiData, tempoMap = TempoMap.fromMIDIData(midiData), controllers = this.collectControllerChanges(midiData, tempoMap)) {
     const audioEvents = [];
-    const noteOnEvents = new Map();
+    const endOfFile = Math.max(0, ...midiData.tracks.map(track =>
+      track.length > 0 ? tempoMap.ticksToSeconds(track[track.length - 1].time) * 1000 : 0
+    ));
+
+    // Notes are paired per track and channel so overlapping notes are not lost
+    midiData.tracks.forEach((track, trackIndex) => {
+      NoteModel.extractNotes(track, trackIndex).forEach(note => {
+        const startMs = tempoMap.ticksToSeconds(note.startTime) * 1000;
+        const endMs = tempoMap.ticksToSeconds(note.endTime) * 1000;
+        const channelControllers = controllers.get(note.channel);
+        const releaseMs = this.getPedalRelease(channelControllers, startMs, endMs, endOfFile);
+
+        audioEvents.push({
+          time: startMs,
+          duration: releaseMs - startMs,
+          note: note.pitch,
+          velocity: note.velocity,
+          channel: note.channel,
+          softPedal: this.getControllerValue(channelControllers, CONTROLLERS.SOFT, startMs, 0) >= PEDAL_THRESHOLD
+        });
+      });
+    });
+
+    audioEvents.sort((a, b) => a.time - b.time);
+
+    // A sustained string is damped when its key is struck again
+    const lastByKey = new Map();
+    audioEvents.forEach(event => {
+      const key = `${event.channel}:${event.note}`;
+      const previous = lastByKey.get(key);
+      if (previous && previous.time + previous.duration > event.time) {
+        previous.duration = Math.max(event.time - previous.time, 1);
+      }
+      lastByKey.set(key, event);
+    });
+
+    return audioEvents;
+  }
+
+  /**
+   * Collect the followed control changes of every channel
+   * @param {Object} midiData - Parsed MIDI data
+   * @param {TempoMap} tempoMap - Tempo map used to convert ticks to milliseconds
+   * @returns {Map} channel -> Map(controller -> changes as { time (ms), value }, sorted by time)
+   */
+  collectControllerChanges(midiData, tempoMap) {
+    const followed = Object.values(CONTROLLERS);
+    const controllers = new Map();
 
     midiData.tracks.forEach(track => {
       track.forEach(event => {
-        if (event.type === 0x90 && event.velocity > 0) {
-          // Note on
-          noteOnEvents.set(event.note, {
-            startTime: event.time,
-            velocity: event.velocity,
-            note: event.note
-          });
-        } else if (event.type === 0x80 || (event.type === 0x90 && event.velocity === 0)) {
-          // Note off
-          const noteOn = noteOnEvents.get(event.note);
-          if (noteOn) {
-            audioEvents.push({
-              time: noteOn.startTime,
-              duration: event.time - noteOn.startTime,
-              note: event.note,
-              velocity: noteOn.velocity
-            });
-            noteOnEvents.delete(event.note);
-          }
+        if (event.type !== 0xB0 || !followed.includes(event.controller)) return;
+
+        const channel = event.channel || 0;
+        if (!controllers.has(channel)) {
+          controllers.set(channel, new Map());
+        }
+        const channelControllers = controllers.get(channel);
+        if (!channelControllers.has(event.controller)) {
+          channelControllers.set(event.controller, []);
         }
+        channelControllers.get(event.controller).push({
+          time: tempoMap.ticksToSeconds(event.time) * 1000,
+          value: event.value
+        });
       });
     });
 
-    return audioEvents.sort((a, b) => a.time - b.time);
+    controllers.forEach(channelControllers => {
+      channelControllers.forEach(changes => changes.sort((a, b) => a.time - b.time));
+    });
+
+    return controllers;
+  }
+
+  /**
+   * Value of a controller at a time (ms)
+   */
+  getControllerValue(channelControllers, controller, time, defaultValue) {
+    const changes = channelControllers?.get(controller);
+    let value = defaultValue;
+
+    if (changes) {
+      for (const change of changes) {
+        if (change.time > time) break;
+        value = change.value;
+      }
+    }
+
+    return value;
+  }
+
+  /**
+   * Find the press and lift times (ms) of a pedal that is down at a time
+   * @param {Array|undefined} changes - Changes of the pedal controller
+   * @param {number} time - Time in milliseconds
+   * @returns {Object|null} { pressedAt, liftedAt } (liftedAt is Infinity if never lifted), or null if the pedal is up
+   */
+  findPedalLift(changes, time) {
+    if (!changes) return null;
+
+    let pressedAt = null;
+    for (const change of changes) {
+      if (change.time > time) {
+        if (pressedAt !== null && change.value < PEDAL_THRESHOLD) {
+          return { pressedAt, liftedAt: change.time };
+        }
+        continue;
+      }
+      if (change.value >= PEDAL_THRESHOLD) {
+        if (pressedAt === null) pressedAt = change.time;
+      } else {
+        pressedAt = null;
+      }
+    }
+
+    return pressedAt !== null ? { pressedAt, liftedAt: Infinity } : null;
+  }
+
+  /**
+   * Time (ms) at which a note stops sounding, taking the sustain and sostenuto pedals into account
+   * @param {Map|undefined} channelControllers - Controller changes of the note's channel
+   * @param {number} startMs - Key press time
+   * @param {number} endMs - Key release time
+   * @param {number} endOfFile - Time of the last event, used for pedals that are never lifted
+   * @returns {number} Release time in milliseconds
+   */
+  getPedalRelease(channelControllers, startMs, endMs, endOfFile) {
+    let releaseMs = endMs;
+
+    const sustain = this.findPedalLift(channelControllers?.get(CONTROLLERS.SUSTAIN), endMs);
+    if (sustain) {
+      releaseMs = Math.max(releaseMs, Math.min(sustain.liftedAt, endOfFile));
+    }
+
+    // Sostenuto only holds notes whose keys were down when it was pressed
+    const sostenuto = this.findPedalLift(channelControllers?.get(CONTROLLERS.SOSTENUTO), endMs);
+    if (sostenuto && sostenuto.pressedAt >= startMs) {
+      releaseMs = Math.max(releaseMs, Math.min(sostenuto.liftedAt, endOfFile));
+    }
+
+    return releaseMs;
+  }
+
+  /**
+   * Create per-channel outputs following channel volume (CC7) and expression (CC11)
+   * @param {Map} controllers - Controller changes from collectControllerChanges
+   * @param {number} startTime - Audio context time of the start of the file
+   * @returns {Map} channel -> GainNode (only channels with volume or expression changes)
+   */
+  createChannelOutputs(controllers, startTime) {
+    const outputs = new Map();
+
+    controllers.forEach((channelControllers, channel) => {
+      const changes = [
+        ...(channelControllers.get(CONTROLLERS.VOLUME) || []),
+        ...(channelControllers.get(CONTROLLERS.EXPRESSION) || [])
+      ].sort((a, b) => a.time - b.time);
+      if (changes.length === 0) return;
+
+      const gainNode = this.audioContext.createGain();
+      const levelAt = time =>
+        (this.getControllerValue(channelControllers, CONTROLLERS.VOLUME, time, DEFAULT_VOLUME) / DEFAULT_VOLUME) *
+        (this.getControllerValue(channelControllers, CONTROLLERS.EXPRESSION, time, 127) / 127);
+
+      gainNode.gain.setValueAtTime(levelAt(0), startTime);
+      changes.forEach(change => {
+        gainNode.gain.setValueAtTime(levelAt(change.time), startTime + change.time / 1000);
+      });
+      gainNode.connect(this.audioContext.destination);
+
+      outputs.set(channel, gainNode);
+      this.activeAudioNodes.push({ oscillators: [], gains: [gainNode] });
+    });
+
+    return outputs;
   }
 
   /**
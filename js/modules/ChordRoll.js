@@ -0,0 +1,92 @@
+/**
+ * Chord Roll Module
+ * Rolls (arpeggiates) chords that are too wide for one hand
+ */
+
+import { NoteModel } from './NoteModel.js';
+import { StylePresets } from './StylePresets.js';
+
+const MAX_HAND_SPAN = 16; // Semitones a hand can reach (a major tenth)
+
+export class ChordRoll {
+  /**
+   * Get roll settings for a style
+   * @param {string|Object} style - Style id or preset (see StylePresets)
+   */
+  getStyleSettings(style) {
+    return StylePresets.resolve(style).roll;
+  }
+
+  /**
+   * Roll wide chords of a track
+   * Onsets are moved relative to the humanized onset of the chord; note-offs are left to
+   * the articulation stage.
+   * @param {Array} notes - Notes from NoteModel.extractNotes for the original track
+   * @param {Array} events - Humanized copy of the track (same indices as the original)
+   * @param {Object} context - { style, timingIntensity, spread, rng, tempoMap, beatTicks, hands, rollFinalCadence }
+   *   where spread (0-1) scales the roll itself, so rolls go away with the timing intensity
+   * @returns {Set} Notes of the rolled chords
+   */
+  apply(notes, events, context) {
+    const { style, timingIntensity, spread = 1, rng, tempoMap, beatTicks, hands = new Map(), rollFinalCadence = false } = context;
+    const settings = this.getStyleSettings(style);
+    const groups = NoteModel.groupSimultaneous(notes, beatTicks / 16).filter(group => group.length >= 2);
+    const finalGroup = groups[groups.length - 1];
+    const rolled = new Set();
+
+    groups.forEach(group => {
+      const isFinalCadence = rollFinalCadence && group === finalGroup;
+      const handSpan = this.estimateHandSpan(group, hands);
+      const spreadOnPurpose = group.length >= 4 && handSpan >= 12 && rng() < settings.spreadChance;
+
+      if (handSpan <= MAX_HAND_SPAN && !spreadOnPurpose && !isFinalCadence) return;
+
+      const ordered = settings.direction === 'down' ? [...group].reverse() : group;
+      const start = Math.min(...group.map(note => events[note.noteOnIndex].time));
+      const interval = this.getNoteInterval(group, start, settings, tempoMap, beatTicks) * (isFinalCadence ? 1.5 : 1) * spread;
+
+      let time = start;
+      ordered.forEach((note, index) => {
+        if (index > 0) {
+          time += interval * (1 + settings.timingJitter * timingIntensity * (rng() - 0.5) * 2);
+        }
+        events[note.noteOnIndex].time = time;
+        rolled.add(note);
+      });
+    });
+
+    return rolled;
+  }
+
+  /**
+   * Estimate the widest span one hand has to cover in a chord
+   * @param {Array} group - Simultaneous notes sorted from low to high pitch
+   * @param {Map} hands - Hand assignment from HandSeparator (notes without one share a hand)
+   * @returns {number} Span in semitones
+   */
+  estimateHandSpan(group, hands) {
+    const byHand = new Map();
+    group.forEach(note => {
+      const hand = hands.get(note) || 'right';
+      if (!byHand.has(hand)) {
+        byHand.set(hand, []);
+      }
+      byHand.get(hand).push(note.pitch);
+    });
+
+    return Math.max(...[...byHand.values()].map(pitches => Math.max(...pitches) - Math.min(...pitches)));
+  }
+
+  /**
+   * Time between rolled notes in ticks
+   * Rolls are quicker at fast tempos and in loud passages, and never take more than half a beat.
+   */
+  getNoteInterval(group, time, settings, tempoMap, beatTicks) {
+    const averageVelocity = group.reduce((sum, note) => sum + note.velocity, 0) / group.length;
+    const tempoFactor = Math.sqrt(120 / tempoMap.getBPMAt(time));
+    const dynamicsFactor = 1.3 - 0.6 * (averageVelocity / 127);
+
+    const interval = tempoMap.secondsToTicksAt(time, settings.noteInterval * tempoFactor * dynamicsFactor);
+    return Math.min(interval, (beatTicks * 0.5) / (group.length - 1));
+  }
+}
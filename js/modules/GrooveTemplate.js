@@ -0,0 +1,215 @@
+/**
+ * Groove Template Module
+ * Extracts the timing and velocity feel of a reference performance, stores it by name and
+ * applies it to other files
+ */
+
+import { MeterMap } from './MeterMap.js';
+import { NoteModel } from './NoteModel.js';
+
+const STORAGE_KEY = 'midiHumanizer.grooveTemplates';
+const DEFAULT_STEPS_PER_QUARTER = 4; // 16th-note grid
+
+export class GrooveTemplate {
+  /**
+   * Extract a groove template from a reference performance
+   * Each note is snapped to the nearest grid step of a cycle of one or more bars. Steps keep
+   * the average offset from the grid (in steps, so templates work at any PPQ and tempo) and
+   * the average velocity relative to the whole take.
+   * @param {Object} midiData - Reference MIDI data from MIDIParser.parseMIDI
+   * @param {Object} options - { name, bars, stepsPerQuarter }
+   * @returns {Object} Groove template
+   */
+  extract(midiData, options = {}) {
+    const { name = 'Groove', bars = 1, stepsPerQuarter = DEFAULT_STEPS_PER_QUARTER } = options;
+    const meterMap = MeterMap.fromMIDIData(midiData);
+    const meter = meterMap.segments[0];
+    const stepTicks = midiData.ticksPerQuarter / stepsPerQuarter;
+    const stepsPerBar = Math.round(meter.barTicks / stepTicks);
+    const collected = Array.from({ length: bars * stepsPerBar }, () => ({ offsets: [], velocities: [] }));
+
+    const notes = midiData.tracks.flatMap((track, index) => NoteModel.extractNotes(track, index));
+    let noteCount = 0;
+
+    notes.forEach(note => {
+      const step = this.findStep(note.startTime, meterMap, stepTicks, meter, bars);
+      if (!step) return;
+
+      collected[step.index].offsets.push(step.offset);
+      collected[step.index].velocities.push(note.velocity);
+      noteCount++;
+    });
+
+    if (noteCount === 0) {
+      throw new Error('リファレンスMIDIにグルーヴを抽出できるノートがありません');
+    }
+
+    const allVelocities = collected.flatMap(step => step.velocities);
+    const meanVelocity = this.mean(allVelocities);
+
+    return {
+      name,
+      bars,
+      stepsPerQuarter,
+      timeSignature: [meter.numerator, meter.denominator],
+      noteCount,
+      createdAt: new Date().toISOString(),
+      steps: collected.map(({ offsets, velocities }) => ({
+        count: offsets.length,
+        timing: this.mean(offsets),
+        timingSpread: this.standardDeviation(offsets),
+        velocity: velocities.length > 0 ? this.mean(velocities) / meanVelocity : 1,
+        velocitySpread: velocities.length > 0 ? this.standardDeviation(velocities) / meanVelocity : 0
+      }))
+    };
+  }
+
+  /**
+   * Find the template step nearest to a tick
+   * Only bars in the template's meter are used.
+   * @param {number} tick - Absolute tick position
+   * @param {MeterMap} meterMap - Meter map of the file
+   * @param {number} stepTicks - Grid step in ticks
+   * @param {Object} meter - { numerator, denominator } of the template
+   * @param {number} bars - Bars in the template cycle
+   * @returns {Object|null} { index, offset } with the offset from the step in steps
+   */
+  findStep(tick, meterMap, stepTicks, meter, bars) {
+    const position = meterMap.getPosition(tick);
+    const segment = position.segment;
+    if (segment.numerator !== meter.numerator || segment.denominator !== meter.denominator) return null;
+
+    const stepsPerBar = Math.round(segment.barTicks / stepTicks);
+    const offsetInBar = tick - position.barStart;
+    const nearest = Math.round(offsetInBar / stepTicks);
+    let step = nearest;
+    let bar = position.bar;
+
+    // Notes played just before a barline belong to the next bar's downbeat
+    if (step >= stepsPerBar) {
+      step -= stepsPerBar;
+      bar++;
+    }
+
+    return {
+      index: (bar % bars) * stepsPerBar + step,
+      offset: (offsetInBar - nearest * stepTicks) / stepTicks
+    };
+  }
+
+  /**
+   * Check whether a file has any bars in the meter of a template
+   * The template is not applied to bars in another meter.
+   * @param {Object} template - Groove template
+   * @param {MeterMap} meterMap - Meter map of the file
+   * @returns {boolean}
+   */
+  fitsMeter(template, meterMap) {
+    const [numerator, denominator] = template.timeSignature;
+    return meterMap.segments.some(segment => segment.numerator === numerator && segment.denominator === denominator);
+  }
+
+  /**
+   * Apply a groove template to the notes of a track
+   * Replaces the style rules for note onsets and velocities. Steps the reference never
+   * played, and bars in another meter, are left as written.
+   * @param {Array} notes - Notes from NoteModel.extractNotes for the original track
+   * @param {Array} events - Humanized copy of the track (same indices as the original)
+   * @param {Object} context - { template, strength, timingIntensity, velocityIntensity, rng, meterMap, ticksPerQuarter }
+   * @returns {number} Number of notes placed on the groove
+   */
+  apply(notes, events, context) {
+    const { template, strength, timingIntensity, velocityIntensity, rng, meterMap, ticksPerQuarter } = context;
+    const stepTicks = ticksPerQuarter / template.stepsPerQuarter;
+    const meter = { numerator: template.timeSignature[0], denominator: template.timeSignature[1] };
+    let applied = 0;
+
+    notes.forEach(note => {
+      const position = this.findStep(note.startTime, meterMap, stepTicks, meter, template.bars);
+      const step = position && template.steps[position.index];
+      if (!step || step.count === 0) return;
+
+      // The reference's spread around the average feel adds the per-note variation
+      const timing = step.timing + step.timingSpread * timingIntensity * (rng() - 0.5) * 2;
+      const velocity = step.velocity + step.velocitySpread * velocityIntensity * (rng() - 0.5) * 2;
+
+      const event = events[note.noteOnIndex];
+      event.time = Math.max(0, note.startTime + timing * stepTicks * strength);
+      event.velocity = Math.max(1, Math.min(127, note.velocity * (1 + (velocity - 1) * strength)));
+      applied++;
+    });
+
+    return applied;
+  }
+
+  /**
+   * Load all saved templates
+   * @returns {Object} name -> template
+   */
+  loadLibrary() {
+    if (typeof localStorage === 'undefined') return {};
+
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.warn('Saved groove templates could not be read:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Save a template under its name, replacing a template of the same name
+   */
+  saveTemplate(template) {
+    const library = this.loadLibrary();
+    library[template.name] = template;
+    this.storeLibrary(library);
+  }
+
+  /**
+   * Delete a saved template
+   */
+  deleteTemplate(name) {
+    const library = this.loadLibrary();
+    delete library[name];
+    this.storeLibrary(library);
+  }
+
+  /**
+   * Get a saved template by name
+   */
+  getTemplate(name) {
+    return this.loadLibrary()[name] || null;
+  }
+
+  /**
+   * Names of the saved templates
+   */
+  listTemplates() {
+    return Object.keys(this.loadLibrary()).sort();
+  }
+
+  /**
+   * Write the template library to local storage
+   */
+  storeLibrary(library) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(library));
+  }
+
+  /**
+   * Average of a list of numbers (0 when empty)
+   */
+  mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+
+  /**
+   * Population standard deviation of a list of numbers
+   */
+  standardDeviation(values) {
+    if (values.length < 2) return 0;
+    const mean = this.mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * Hand Separator Module
+ * Assigns piano notes to the left or right hand and holds per-hand humanization profiles
+ */
+
+import { NoteModel } from './NoteModel.js';
+import { StylePresets } from './StylePresets.js';
+
+const MAX_HAND_SPAN = 16;  // Semitones a hand can reach (a major tenth)
+const MAX_HAND_NOTES = 5;
+const MIDDLE_C = 60;
+const REST_COST = 10;      // Cost of leaving a hand without notes in a simultaneity
+const CROSSING_COST = 12;  // Cost of a hand crossing over the other hand's last position
+const IMPOSSIBLE_COST = 100;
+
+export class HandSeparator {
+  /**
+   * Get the humanization profile of a hand for a style: timing and drift (slow timing
+   * wander) multipliers and a velocity offset
+   * @param {string|Object} style - Style id or preset (see StylePresets)
+   * @param {string} hand - 'left' or 'right'
+   * @returns {Object} { timing, drift, velocity }
+   */
+  getProfile(style, hand) {
+    const profiles = StylePresets.resolve(style).hands;
+    return profiles[hand] || profiles.right;
+  }
+
+  /**
+   * Check whether a track holds both hands of a piano part
+   * Parts split into one track per hand keep most of their notes on one side of middle C.
+   */
+  static isTwoHanded(notes) {
+    if (notes.length === 0) return false;
+
+    const low = notes.filter(note => note.pitch < MIDDLE_C - 5).length / notes.length;
+    const high = notes.filter(note => note.pitch > MIDDLE_C + 5).length / notes.length;
+    return low >= 0.15 && high >= 0.15;
+  }
+
+  /**
+   * Assign each note of a track to a hand
+   * Tracks holding a single hand are assigned as a whole. In two-handed tracks each
+   * simultaneity is split between the hands so that both stay within their reach, move
+   * as little as possible from their last position and rarely cross.
+   * @param {Array} notes - Notes sorted by start time
+   * @param {number} window - Onset distance in ticks within which notes count as simultaneous
+   * @returns {Map} note -> 'left' | 'right'
+   */
+  assignHands(notes, window) {
+    const hands = new Map();
+    if (notes.length === 0) return hands;
+
+    if (!HandSeparator.isTwoHanded(notes)) {
+      const averagePitch = notes.reduce((sum, note) => sum + note.pitch, 0) / notes.length;
+      const hand = averagePitch < MIDDLE_C ? 'left' : 'right';
+      notes.forEach(note => hands.set(note, hand));
+      return hands;
+    }
+
+    const last = { left: MIDDLE_C - 12, right: MIDDLE_C + 12 };
+
+    NoteModel.groupSimultaneous(notes, window).forEach(group => {
+      const split = this.chooseSplit(group, last);
+      const left = group.slice(0, split);
+      const right = group.slice(split);
+
+      left.forEach(note => hands.set(note, 'left'));
+      right.forEach(note => hands.set(note, 'right'));
+
+      if (left.length > 0) last.left = this.getCentre(left);
+      if (right.length > 0) last.right = this.getCentre(right);
+    });
+
+    return hands;
+  }
+
+  /**
+   * Choose where a simultaneity is split between the hands
+   * @param {Array} group - Simultaneous notes sorted from low to high pitch
+   * @param {Object} last - Last positions of the hands { left, right }
+   * @returns {number} Index of the first right-hand note
+   */
+  chooseSplit(group, last) {
+    let bestSplit = 0;
+    let bestCost = Infinity;
+
+    for (let split = 0; split <= group.length; split++) {
+      const left = group.slice(0, split);
+      const right = group.slice(split);
+      let cost = this.scoreHand(left, last.left, 'left') + this.scoreHand(right, last.right, 'right');
+
+      if (left.length > 0 && left[left.length - 1].pitch > last.right) cost += CROSSING_COST;
+      if (right.length > 0 && right[0].pitch < last.left) cost += CROSSING_COST;
+
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestSplit = split;
+      }
+    }
+
+    return bestSplit;
+  }
+
+  /**
+   * Cost of playing a set of notes with one hand
+   */
+  scoreHand(part, lastPitch, hand) {
+    if (part.length === 0) return REST_COST;
+
+    let cost = 0;
+    const span = part[part.length - 1].pitch - part[0].pitch;
+    if (span > MAX_HAND_SPAN || part.length > MAX_HAND_NOTES) {
+      cost += IMPOSSIBLE_COST;
+    }
+
+    // Pitch continuity, with a slight preference for each hand's side of the keyboard
+    const centre = this.getCentre(part);
+    cost += Math.abs(centre - lastPitch);
+    cost += hand === 'left' ?
+      Math.max(0, centre - MIDDLE_C) * 0.25 :
+      Math.max(0, MIDDLE_C - centre) * 0.25;
+
+    return cost;
+  }
+
+  /**
+   * Average pitch of a set of notes
+   */
+  getCentre(part) {
+    return part.reduce((sum, note) => sum + note.pitch, 0) / part.length;
+  }
+}
@@ -0,0 +1,370 @@
+/**
+ * Harmonic Analyzer Module
+ * Key estimation over time with Krumhansl-Kessler profiles, chord identification with
+ * sevenths and inversions, Roman numeral labels and harmonic tension/resolution
+ */
+
+// Krumhansl-Kessler key profiles, from the tonic upwards
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const KEY_WINDOW_BEATS = 8;     // Notes around each position that decide its key
+const KEY_CHANGE_PENALTY = 1;   // Correlation (summed over windows) a new key has to gain before the key changes
+
+// Chord templates as intervals above the root; earlier templates win ties
+const CHORD_TEMPLATES = {
+  major: [0, 4, 7],
+  minor: [0, 3, 7],
+  dominant7: [0, 4, 7, 10],
+  minor7: [0, 3, 7, 10],
+  major7: [0, 4, 7, 11],
+  halfDiminished7: [0, 3, 6, 10],
+  diminished: [0, 3, 6],
+  diminished7: [0, 3, 6, 9],
+  augmented: [0, 4, 8]
+};
+const SEVENTHS = ['dominant7', 'minor7', 'major7', 'halfDiminished7', 'diminished7'];
+const LEADING_TONE_CHORDS = ['diminished', 'halfDiminished7', 'diminished7'];
+const LOWER_CASE = ['minor', 'minor7', 'diminished', 'halfDiminished7', 'diminished7'];
+const SUFFIXES = {
+  diminished: '°',
+  diminished7: '°',
+  halfDiminished7: 'ø',
+  augmented: '+',
+  major7: 'M'
+};
+const FIGURES = {
+  triad: ['', '6', '64'],
+  seventh: ['7', '65', '43', '42']
+};
+
+const EXTRA_NOTE_PENALTY = 0.6;   // Per unit weight of notes outside the chord
+const MISSING_TONE_PENALTY = 0.4; // Per chord tone not sounding
+const BASS_ROOT_BONUS = 0.2;
+
+// Scale degrees by semitones above the tonic
+const MAJOR_DEGREES = ['I', '♭II', 'II', '♭III', 'III', 'IV', '♯IV', 'V', '♭VI', 'VI', '♭VII', 'VII'];
+const MINOR_DEGREES = ['I', '♭II', 'II', 'III', '♯III', 'IV', '♯IV', 'V', 'VI', '♯VI', '♭VII', 'VII'];
+
+// Degrees of the major triads that belong to each mode (others are borrowed or applied)
+const DIATONIC_MAJOR_TRIADS = { major: [0, 5, 7], minor: [3, 7, 8, 10] };
+
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+const FLAT_KEYS = { major: [5, 10, 3, 8, 1, 6], minor: [2, 7, 0, 5, 10, 3] };
+
+export class HarmonicAnalyzer {
+  /**
+   * Analyze the harmony of a piece
+   * @param {Array} notes - Notes from NoteModel.extractNotes (percussion left out)
+   * @param {Object} options - { windowTicks (chord window), beatTicks }
+   * @returns {Object} { keys: [{ start, end, tonic, mode, name }], chords: [...] } where each
+   *   chord is { time, duration, root, quality, bass, inversion, notes, key, numeral,
+   *   function, tension (0-1), resolution ('authentic', 'deceptive' or null), change }
+   */
+  analyze(notes, options) {
+    const { windowTicks, beatTicks } = options;
+    if (notes.length === 0) return { keys: [], chords: [] };
+
+    const firstStart = notes.reduce((min, note) => Math.min(min, note.startTime), Infinity);
+    const startTime = Math.floor(firstStart / windowTicks) * windowTicks;
+    const endTime = notes.reduce((max, note) => Math.max(max, note.endTime), 0);
+
+    const windows = [];
+    for (let time = startTime; time < endTime; time += windowTicks) {
+      windows.push(time);
+    }
+
+    const keys = this.estimateKeys(notes, windows, windowTicks, beatTicks * KEY_WINDOW_BEATS);
+    const chords = [];
+    windows.forEach(time => {
+      const chord = this.identifyChord(notes.filter(note => note.startTime < time + windowTicks && note.endTime > time), time, time + windowTicks);
+      if (!chord) return;
+
+      const key = keys.find(segment => time >= segment.start && time < segment.end) || keys[keys.length - 1];
+      chords.push({ time, duration: windowTicks, ...chord, key: key.name });
+    });
+
+    this.labelChords(chords, keys);
+    return { keys, chords };
+  }
+
+  /**
+   * Estimate the key at each window
+   * Pitch classes around each window, weighted by duration, are correlated with the 24 key
+   * profiles; a Viterbi pass keeps the key from changing on a single borrowed chord.
+   * @returns {Array} Key segments [{ start, end, tonic, mode, name }]
+   */
+  estimateKeys(notes, windows, windowTicks, spanTicks) {
+    const candidates = [];
+    for (let tonic = 0; tonic < 12; tonic++) {
+      candidates.push({ tonic, mode: 'major' }, { tonic, mode: 'minor' });
+    }
+
+    const scores = windows.map(time => {
+      const centre = time + windowTicks / 2;
+      const histogram = this.getPitchClassWeights(notes, centre - spanTicks / 2, centre + spanTicks / 2);
+      return candidates.map(key => this.correlate(histogram, key));
+    });
+
+    // Viterbi over the windows with a penalty for each key change
+    let totals = scores[0].slice();
+    const paths = [candidates.map((key, index) => index)];
+    for (let w = 1; w < windows.length; w++) {
+      const best = totals.indexOf(Math.max(...totals));
+      const back = [];
+      totals = candidates.map((key, index) => {
+        const stay = totals[index];
+        const change = totals[best] - KEY_CHANGE_PENALTY;
+        back.push(stay >= change ? index : best);
+        return Math.max(stay, change) + scores[w][index];
+      });
+      paths.push(back);
+    }
+
+    const states = new Array(windows.length);
+    states[windows.length - 1] = totals.indexOf(Math.max(...totals));
+    for (let w = windows.length - 1; w > 0; w--) {
+      states[w - 1] = paths[w][states[w]];
+    }
+
+    const keys = [];
+    states.forEach((state, w) => {
+      const last = keys[keys.length - 1];
+      if (last && last.state === state) {
+        last.end = windows[w] + windowTicks;
+        return;
+      }
+      const { tonic, mode } = candidates[state];
+      keys.push({ state, start: windows[w], end: windows[w] + windowTicks, tonic, mode, name: HarmonicAnalyzer.getKeyName(tonic, mode) });
+    });
+
+    return keys.map(({ state, ...key }) => key);
+  }
+
+  /**
+   * Duration of each pitch class sounding within a time span
+   * @returns {Array} 12 weights
+   */
+  getPitchClassWeights(notes, start, end) {
+    const weights = new Array(12).fill(0);
+    notes.forEach(note => {
+      const overlap = Math.min(end, note.endTime) - Math.max(start, note.startTime);
+      if (overlap > 0) {
+        weights[note.pitch % 12] += overlap;
+      }
+    });
+    return weights;
+  }
+
+  /**
+   * Pearson correlation of pitch-class weights with a key profile
+   */
+  correlate(weights, key) {
+    const profile = key.mode === 'major' ? MAJOR_PROFILE : MINOR_PROFILE;
+    const rotated = weights.map((weight, pc) => profile[(pc - key.tonic + 12) % 12]);
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const meanWeight = mean(weights);
+    const meanProfile = mean(rotated);
+
+    let covariance = 0;
+    let weightVariance = 0;
+    let profileVariance = 0;
+    weights.forEach((weight, pc) => {
+      covariance += (weight - meanWeight) * (rotated[pc] - meanProfile);
+      weightVariance += (weight - meanWeight) ** 2;
+      profileVariance += (rotated[pc] - meanProfile) ** 2;
+    });
+
+    return weightVariance > 0 ? covariance / Math.sqrt(weightVariance * profileVariance) : 0;
+  }
+
+  /**
+   * Identify the chord sounding in a set of notes
+   * Every root and chord template is scored on the duration-weighted pitch classes; the
+   * lowest note decides the inversion (and breaks ties such as C6 / Am7).
+   * @param {Array} notes - Notes overlapping the window
+   * @param {number} start - Window start (the whole note counts when not given)
+   * @param {number} end - Window end
+   * @returns {Object|null} { root, quality, bass, inversion, notes } or null for fewer than two pitch classes
+   */
+  identifyChord(notes, start = -Infinity, end = Infinity) {
+    const weights = this.getPitchClassWeights(notes, start, end);
+    const pitchClasses = [];
+    weights.forEach((weight, pc) => {
+      if (weight > 0) pitchClasses.push(pc);
+    });
+    if (pitchClasses.length < 2) return null;
+
+    const maxWeight = Math.max(...weights);
+    const relative = weights.map(weight => weight / maxWeight);
+    const bass = Math.min(...notes.map(note => note.pitch)) % 12;
+
+    let best = null;
+    for (let root = 0; root < 12; root++) {
+      Object.entries(CHORD_TEMPLATES).forEach(([quality, intervals]) => {
+        const tones = intervals.map(interval => (root + interval) % 12);
+        let score = 0;
+        relative.forEach((weight, pc) => {
+          score += tones.includes(pc) ? weight : -weight * EXTRA_NOTE_PENALTY;
+        });
+        score -= tones.filter(pc => relative[pc] === 0).length * MISSING_TONE_PENALTY;
+        if (bass === root) score += BASS_ROOT_BONUS;
+
+        if (!best || score > best.score) {
+          best = { score, root, quality, tones };
+        }
+      });
+    }
+
+    return {
+      root: best.root,
+      quality: best.quality,
+      bass,
+      inversion: Math.max(0, best.tones.indexOf(bass)), // Bass not in the chord counts as root position
+      notes: pitchClasses
+    };
+  }
+
+  /**
+   * Add Roman numerals, harmonic function, tension and resolutions to a chord sequence
+   * Dominants (V, vii°, cadential 6/4 and applied dominants) carry the most tension; a tonic
+   * after a dominant is an authentic resolution, another tonic-function chord a deceptive one.
+   * @param {Array} chords - Chords with their key name, modified in place
+   * @param {Array} keys - Key segments
+   */
+  labelChords(chords, keys) {
+    const keyByName = new Map(keys.map(key => [key.name, key]));
+    const nextChange = index => chords.slice(index + 1).find(chord => chord.root !== chords[index].root || chord.quality !== chords[index].quality) || null;
+
+    chords.forEach((chord, index) => {
+      const key = keyByName.get(chord.key);
+      const degree = (chord.root - key.tonic + 12) % 12;
+      const next = nextChange(index);
+      const nextDegree = next ? (next.root - key.tonic + 12) % 12 : null;
+      const isMajor = chord.quality === 'major' || chord.quality === 'dominant7';
+      const isApplied = chord.quality === 'dominant7' ||
+        (chord.quality === 'major' && !DIATONIC_MAJOR_TRIADS[key.mode].includes(degree));
+      const appliedLeadingTone = this.getLeadingToneRoot(chord, next);
+
+      let harmonicFunction = 'other';
+      let tension = 0.5;
+      let numeral = this.getNumeral(chord, key, degree);
+
+      if (degree === 0 && chord.inversion === 2 && nextDegree === 7) {
+        harmonicFunction = 'dominant'; // Cadential 6/4
+        tension = 0.7;
+      } else if (degree === 0 && chord.quality !== 'dominant7') {
+        harmonicFunction = 'tonic';
+        tension = chord.inversion === 0 ? 0 : 0.15;
+      } else if ((degree === 7 && isMajor) || (degree === 11 && LEADING_TONE_CHORDS.includes(chord.quality))) {
+        harmonicFunction = 'dominant';
+        tension = chord.quality === 'diminished7' ? 1 : 0.8;
+      } else if (isApplied && next && (next.root - chord.root + 12) % 12 === 5) {
+        harmonicFunction = 'dominant'; // Applied dominant of the next chord
+        tension = 0.65;
+        numeral = `V${this.getFigure(chord)}/${this.getTargetNumeral(next, key, nextDegree)}`;
+      } else if (appliedLeadingTone !== null) {
+        harmonicFunction = 'dominant'; // Applied leading-tone chord of the next chord
+        tension = chord.quality === 'diminished7' ? 0.75 : 0.65;
+        const inversion = Math.max(0, CHORD_TEMPLATES[chord.quality].indexOf((chord.bass - appliedLeadingTone + 12) % 12));
+        numeral = `vii${SUFFIXES[chord.quality]}${this.getFigure({ ...chord, inversion })}/${this.getTargetNumeral(next, key, nextDegree)}`;
+      } else if (degree === 2 || degree === 5 || degree === 1) {
+        harmonicFunction = 'predominant';
+        tension = 0.45;
+      } else if ((key.mode === 'major' && (degree === 9 || degree === 4)) || (key.mode === 'minor' && degree === 8)) {
+        harmonicFunction = 'tonic'; // vi, iii and VI stand in for the tonic
+        tension = 0.25;
+      }
+      if (chord.quality === 'dominant7' && harmonicFunction === 'dominant') {
+        tension = Math.min(1, tension + 0.1);
+      }
+
+      // A new harmony starts where the chord differs from the window before
+      const previous = chords[index - 1];
+      const change = !previous || previous.time + previous.duration !== chord.time ||
+        previous.root !== chord.root || previous.quality !== chord.quality;
+
+      let resolution = null;
+      if (harmonicFunction === 'tonic' && previous && previous.function === 'dominant') {
+        resolution = degree === 0 ? 'authentic' : 'deceptive';
+      }
+
+      Object.assign(chord, { numeral, function: harmonicFunction, tension, resolution, change });
+    });
+  }
+
+  /**
+   * Root of a diminished or half-diminished chord that leads a semitone up to the next chord
+   * A diminished seventh divides the octave evenly, so any of its tones can be that root.
+   * @returns {number|null} Pitch class of the leading tone, or null
+   */
+  getLeadingToneRoot(chord, next) {
+    if (!next || !LEADING_TONE_CHORDS.includes(chord.quality)) return null;
+
+    const roots = chord.quality === 'diminished7' ?
+      CHORD_TEMPLATES.diminished7.map(interval => (chord.root + interval) % 12) :
+      [chord.root];
+    const leadingTone = (next.root + 11) % 12;
+    return roots.includes(leadingTone) ? leadingTone : null;
+  }
+
+  /**
+   * Numeral of the chord an applied chord leads to, as a plain triad ("V" in "V7/V")
+   */
+  getTargetNumeral(next, key, nextDegree) {
+    return this.getNumeral({ ...next, inversion: 0, quality: LOWER_CASE.includes(next.quality) ? 'minor' : 'major' }, key, nextDegree);
+  }
+
+  /**
+   * Roman numeral of a chord in a key, e.g. "V65" or "viiø7"
+   */
+  getNumeral(chord, key, degree) {
+    const degrees = key.mode === 'major' ? MAJOR_DEGREES : MINOR_DEGREES;
+    let numeral = degrees[degree];
+    if (LOWER_CASE.includes(chord.quality)) {
+      numeral = numeral.toLowerCase();
+    }
+    return numeral + (SUFFIXES[chord.quality] || '') + this.getFigure(chord);
+  }
+
+  /**
+   * Inversion figure of a chord ("6", "64" for triads; "7", "65", "43", "42" for sevenths)
+   */
+  getFigure(chord) {
+    const figures = SEVENTHS.includes(chord.quality) ? FIGURES.seventh : FIGURES.triad;
+    return figures[Math.min(chord.inversion, figures.length - 1)];
+  }
+
+  /**
+   * Chord sounding at a tick
+   * @param {Object} harmony - Result of analyze
+   * @returns {Object|null} Chord or null between chords
+   */
+  getChordAt(harmony, tick) {
+    return harmony.chords.find(chord => tick >= chord.time && tick < chord.time + chord.duration) || null;
+  }
+
+  /**
+   * Progression with repeated chords merged, for display
+   * @param {Object} harmony - Result of analyze
+   * @returns {Array} [{ time, numeral, function, key }]
+   */
+  summarize(harmony) {
+    const progression = [];
+    harmony.chords.forEach(chord => {
+      const last = progression[progression.length - 1];
+      if (last && last.numeral === chord.numeral && last.key === chord.key) return;
+      progression.push({ time: chord.time, numeral: chord.numeral, function: chord.function, key: chord.key });
+    });
+    return progression;
+  }
+
+  /**
+   * Display name of a key, e.g. "Eb major" or "F# minor"
+   */
+  static getKeyName(tonic, mode) {
+    const names = FLAT_KEYS[mode].includes(tonic) ? FLAT_NAMES : SHARP_NAMES;
+    return `${names[tonic]} ${mode}`;
+  }
+}
@@ -3,9 +3,127 @@
  * Core humanization algorithms with intelligent musical analysis
  */
 
+import { TempoMap } from './TempoMap.js';
+import { MeterMap } from './MeterMap.js';
+import { MIDIParser } from './MIDIParser.js';
+import { NoteModel } from './NoteModel.js';
+import { Articulation } from './Articulation.js';
+import { SustainPedal } from './SustainPedal.js';
+import { ChordRoll } from './ChordRoll.js';
+import { Voicing } from './Voicing.js';
+import { HandSeparator } from './HandSeparator.js';
+import { Rubato } from './Rubato.js';
+import { Swing } from './Swing.js';
+import { GrooveTemplate } from './GrooveTemplate.js';
+import { PerformanceLearner } from './PerformanceLearner.js';
+import { NoiseModel } from './NoiseModel.js';
+import { StylePresets } from './StylePresets.js';
+import { TrackInfo } from './TrackInfo.js';
+import { Percussion } from './Percussion.js';
+import { RegionMap } from './RegionMap.js';
+import { Quantizer } from './Quantizer.js';
+import { HarmonicAnalyzer } from './HarmonicAnalyzer.js';
+
+// Resolution the tick-based amounts in this module were tuned for
+const REFERENCE_TICKS_PER_QUARTER = 480;
+
+// Meta event types used as anchors
+const MARKER = 0x06;
+const CUE_POINT = 0x07;
+
+// Half-width of a uniform distribution with a standard deviation of 1
+const UNIFORM_RANGE = Math.sqrt(3);
+
+// Defaults for humanizeMIDI options
+const DEFAULT_OPTIONS = {
+  style: 'classical',     // Built-in style id or preset object (see StylePresets)
+  intensity: 0.5,
+  seed: null,
+  isUserUpload: false,
+  analysis: null,         // Analysis from MIDIHumanizerApp (phrases, chords, dynamics peaks)
+  timingVariation: 1.0,   // Scales the timing stages
+  velocityVariation: 1.0, // Scales the velocity stages
+  dynamicRange: 1.0,      // Expands (>1) or compresses (<1) velocities around the phrase arc
+  chordRoll: true,        // Roll chords too wide for one hand
+  rollFinalCadence: false,
+  sustainPedal: true,     // Pedal piano channels along the chord changes
+  keepExistingPedal: true,
+  rubato: 'off',          // 'off', 'tempo' (tempo events) or 'notes' (note positions)
+  swing: 'auto',          // 'auto' (style default), 'off', '8th' or '16th'
+  swingRatio: 62,         // Percent of the pair taken by the first note (50-75)
+  grooveTemplate: null,   // Template from GrooveTemplate.extract, replaces the style timing and velocity rules
+  grooveStrength: 1.0,    // How far notes move towards the template (0-1)
+  learnedProfile: null,   // Profile from PerformanceLearner, replaces the style's variation amounts
+  noiseModel: 'auto',     // Timing noise: 'auto' (style default), 'white', 'pink', 'ou' or 'randomWalk'
+  trackSettings: null,    // Per-track { enabled, style, intensity, timingVariation, velocityVariation } by track index
+  excludeDrums: true,     // Leave GM percussion (channel 10) out of the melodic and harmonic rules
+  percussion: true,       // Humanize the excluded percussion with the drummer rules
+  regions: null,          // Sections to humanize as { startBar, endBar } or { start, end } ticks; the rest is locked
+  regionBlend: 1,         // Beats over which humanization fades in and out next to locked sections
+  quantize: 'off',        // Quantize before humanizing: 'off', 'auto' (detected grid) or a grid ('1/4'-'1/32', '1/8T'...)
+  quantizeStrength: 1.0,  // How far onsets move towards the grid (0-1)
+  quantizeWindow: 1.0,    // Only notes within this share of half a grid step are quantized (0-1)
+  quantizeEnds: false,    // Quantize note ends on their own instead of keeping note lengths
+  anchors: 'off',         // Positions held in sync: 'off', 'downbeats', 'bars' (every anchorEveryBars) or 'markers'
+  anchorEveryBars: 4,
+  anchorTicks: []         // Further anchor positions in ticks
+};
+
 export class Humanizer {
   constructor() {
     this.rng = null; // Will be set by seedRandom
+    this.options = { ...DEFAULT_OPTIONS };
+    this.articulation = new Articulation();
+    this.sustainPedal = new SustainPedal();
+    this.chordRoll = new ChordRoll();
+    this.voicing = new Voicing();
+    this.handSeparator = new HandSeparator();
+    this.swing = new Swing();
+    this.grooveTemplate = new GrooveTemplate();
+    this.percussion = new Percussion();
+    this.quantizer = new Quantizer();
+    this.harmonicAnalyzer = new HarmonicAnalyzer();
+    this.performanceLearner = new PerformanceLearner();
+    this.rubato = new Rubato();
+
+    // Time base, set from the file by setTimingContext
+    this.tempoMap = new TempoMap();
+    this.meterMap = new MeterMap();
+    this.ticksPerQuarter = REFERENCE_TICKS_PER_QUARTER;
+    this.beatTicks = REFERENCE_TICKS_PER_QUARTER;
+    this.beatsPerBar = 4;
+
+    // What the stages of the last humanizeMIDI call did, for the caller to log
+    this.report = null;
+  }
+
+  /**
+   * Set the time base of the file being processed
+   * Beat positions, accents, swing and deviation limits follow the file's PPQ and time signatures
+   * @param {Object} midiData - Parsed MIDI data
+   */
+  setTimingContext(midiData) {
+    this.tempoMap = TempoMap.fromMIDIData(midiData);
+    this.meterMap = MeterMap.fromMIDIData(midiData);
+    this.ticksPerQuarter = midiData.ticksPerQuarter || REFERENCE_TICKS_PER_QUARTER;
+
+    // Beat of the opening meter (a dotted quarter in 6/8)
+    this.beatTicks = this.meterMap.getBeatTicksAt(0);
+    this.beatsPerBar = this.meterMap.getBeatsPerBar(0);
+  }
+
+  /**
+   * Scale factor for tick amounts tuned at the reference resolution
+   */
+  getResolutionScale() {
+    return this.ticksPerQuarter / REFERENCE_TICKS_PER_QUARTER;
+  }
+
+  /**
+   * Onset distance in ticks within which notes are treated as one simultaneity
+   */
+  getSimultaneityWindow() {
+    return 50 * this.getResolutionScale();
   }
 
   /**
@@ -27,8 +145,48 @@ export class Humanizer {
 
   /**
    * Main humanization function
+   * @param {Object} midiData - Parsed MIDI data
+   * @param {Object} options - Humanization options
+   * @param {string|Object} options.style - Built-in style id or style preset
+   * @param {number} options.intensity - Humanization intensity (0-1)
+   * @param {number|string|null} options.seed - Random seed
+   * @param {boolean} options.isUserUpload - Whether the file was uploaded by the user
+   * @param {Object|null} options.analysis - Analysis from MIDIHumanizerApp (phrases, chords, dynamics peaks)
+   * @param {number} options.timingVariation - Timing variation multiplier (0-2)
+   * @param {number} options.velocityVariation - Velocity variation multiplier (0-2)
+   * @param {number} options.dynamicRange - Velocity spread around the phrase arc (0.5-2)
+   * @param {boolean} options.chordRoll - Roll chords too wide for one hand
+   * @param {boolean} options.rollFinalCadence - Always roll the final chord
+   * @param {boolean} options.sustainPedal - Generate sustain pedal events
+   * @param {boolean} options.keepExistingPedal - Keep pedaling already in the file
+   * @param {string} options.rubato - Phrase rubato: 'off', 'tempo' or 'notes' ('tempo' falls back to
+   *   'notes' with regions, anchors or disabled tracks)
+   * @param {string} options.swing - Swing subdivision: 'auto', 'off', '8th' or '16th'
+   * @param {number} options.swingRatio - Swing ratio in percent (50-75) for '8th' and '16th'; 'auto' uses the style's ratio
+   * @param {Object|null} options.grooveTemplate - Groove template to apply instead of the style rules
+   * @param {number} options.grooveStrength - Groove template strength (0-1)
+   * @param {Object|null} options.learnedProfile - Profile learned from a score/performance pair
+   * @param {string} options.noiseModel - Timing noise generator
+   * @param {Array|null} options.trackSettings - Per-track settings over the global ones (see getTrackSettings)
+   * @param {boolean} options.excludeDrums - Leave percussion notes out of the melodic and harmonic rules
+   * @param {boolean} options.percussion - Humanize the excluded percussion notes as a drummer would
+   * @param {Array|null} options.regions - Sections to humanize, each with optional settings (see getRegionSettings)
+   * @param {number} options.regionBlend - Fade length in beats at the edges of locked sections
+   * @param {string} options.quantize - Quantize grid before humanizing: 'off', 'auto' or a grid id
+   * @param {number} options.quantizeStrength - Quantize strength (0-1)
+   * @param {number} options.quantizeWindow - Quantize capture window (0-1)
+   * @param {boolean} options.quantizeEnds - Quantize note ends independently
+   * @param {string} options.anchors - Anchor positions: 'off', 'downbeats', 'bars' or 'markers'
+   * @param {number} options.anchorEveryBars - Bar interval of the 'bars' anchors
+   * @param {Array} options.anchorTicks - User anchor positions in ticks
+   * @returns {Object} Humanized MIDI data; what each stage did is left in this.report as
+   *   { regions, quantize, swing, percussion, pedal, rubato, anchors, hands }
    */
-  humanizeMIDI(midiData, style, intensity, seed, isUserUpload = false) {
+  humanizeMIDI(midiData, options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    const { intensity, seed, isUserUpload } = this.options;
+    const style = StylePresets.resolve(this.options.style);
+
     // Set random seed for reproducible results
     if (seed !== null && seed !== undefined && seed !== '') {
       this.seedRandom(parseInt(seed));
@@ -36,59 +194,448 @@ export class Humanizer {
       this.seedRandom(Date.now() % 10000);
     }
 
-    // Deep clone to avoid modifying original data
-    const humanizedData = JSON.parse(JSON.stringify(midiData));
+    // Deep clone to avoid modifying original data (keeps meta/SysEx bytes intact)
+    const humanizedData = MIDIParser.cloneMIDIData(midiData);
+    this.report = {
+      regions: null,          // Number of humanized regions
+      quantize: [],           // [{ track, grid, moved, notes }]
+      swing: [],              // [{ subdivision, ratio, swungPairs, tripletPairs }]
+      percussion: new Map(),  // Written track -> { hits, ghostNotes, flams }; region versions share one entry
+      pedal: [],              // [{ channel, changes }]
+      rubato: null,           // { mode, phrases, segments }
+      anchors: null,          // { positions, drifts }
+      hands: new Map()        // Humanized note-on event -> 'left' or 'right', as split on the written notes
+    };
+
+    // Tick/second conversion, resolution and beat length of this file
+    this.setTimingContext(midiData);
+
+    // With regions only those sections are humanized; anchors hold bar lines and cue points
+    // in place. Events remember their written index, so both can be restored once all
+    // stages have run
+    const regionMap = this.buildRegionMap(midiData);
+    const anchors = this.getAnchorTicks(midiData);
+    const tagged = regionMap !== null || anchors.length > 0;
+    if (tagged) {
+      humanizedData.tracks.forEach(track => track.forEach((event, index) => {
+        event.sourceIndex = index;
+      }));
+    }
+    if (regionMap) {
+      this.report.regions = regionMap.regions.length;
+    }
     
-    // Analyze musical structure for intelligent humanization
-    const analysis = this.analyzeMusicStructure(humanizedData.tracks, style, isUserUpload);
+    // Analyze musical structure for intelligent humanization, preferring the
+    // phrase detection results supplied by the caller
+    const analysis = this.resolveAnalysis(humanizedData.tracks, style, isUserUpload, this.options.analysis);
+
+    // Style, intensity and variation of each track; disabled tracks are left as written
+    const trackSettings = humanizedData.tracks.map((track, index) => this.getTrackSettings(index));
+
+    // Messy played-in timing is cleaned up first, so the humanization starts from a clean score
+    if (this.options.quantize !== 'off') {
+      this.quantizeTracks(humanizedData.tracks, trackSettings);
+    }
+
+    // Swing moves the written positions; the stages below humanize around them
+    this.applySwing(humanizedData.tracks, trackSettings);
+
+    // Anchors measure drift from the quantized and swung positions, so only the humanization
+    // is pulled back to zero
+    const stagedTimes = anchors.length > 0 ?
+      humanizedData.tracks.map(track => new Map(track.map(event => [event.sourceIndex, event.time]))) :
+      null;
     
     // Humanize each track
     humanizedData.tracks = humanizedData.tracks.map((track, index) => {
+      if (!trackSettings[index].enabled) return track;
+
       const trackAnalysis = analysis.tracks[index] || null;
-      return this.humanizeTrack(track, style, intensity, trackAnalysis);
+      return regionMap ?
+        this.humanizeRegions(track, trackSettings[index], trackAnalysis, regionMap) :
+        this.humanizeTrack(track, trackSettings[index], trackAnalysis);
     });
+
+    // Pedaling follows the humanized notes
+    if (this.options.sustainPedal) {
+      this.addSustainPedal(midiData.tracks, humanizedData.tracks, trackSettings, this.options.keepExistingPedal, regionMap);
+    }
+
+    // Phrase rubato - written as tempo events or baked into the note positions.
+    // Tempo events would also move the locked sections, anchors and disabled tracks, so those
+    // always take the note positions
+    if (this.options.rubato === 'tempo' || this.options.rubato === 'notes') {
+      const notesOnly = tagged || trackSettings.some(settings => !settings.enabled);
+      this.applyRubato(humanizedData.tracks, trackSettings, analysis, style, intensity, notesOnly ? 'notes' : this.options.rubato);
+    }
+
+    if (anchors.length > 0) {
+      this.applyAnchors(stagedTimes, humanizedData.tracks, anchors);
+    }
+
+    if (regionMap) {
+      this.lockRegions(midiData.tracks, humanizedData.tracks, regionMap);
+    }
+
+    if (tagged) {
+      humanizedData.tracks.forEach(track => track.forEach(event => {
+        delete event.sourceIndex;
+      }));
+    }
     
     return humanizedData;
   }
 
+  /**
+   * Humanization settings of a track: its own settings over the global options
+   * A missing style or intensity follows the global one; the track's variation amounts
+   * multiply the global ones.
+   * @param {number} index - Track index
+   * @returns {Object} { enabled, style, intensity, timingVariation, velocityVariation }
+   */
+  getTrackSettings(index) {
+    const { trackSettings, intensity, timingVariation, velocityVariation } = this.options;
+    const track = (trackSettings && trackSettings[index]) || {};
+
+    return {
+      enabled: track.enabled !== false,
+      style: StylePresets.resolve(track.style || this.options.style),
+      intensity: Number.isFinite(track.intensity) ? track.intensity : intensity,
+      timingVariation: timingVariation * (Number.isFinite(track.timingVariation) ? track.timingVariation : 1),
+      velocityVariation: velocityVariation * (Number.isFinite(track.velocityVariation) ? track.velocityVariation : 1)
+    };
+  }
+
+  /**
+   * Tick of the last event in the file
+   */
+  getEndTick(midiData) {
+    return Math.max(0, ...midiData.tracks.map(track => track.length > 0 ? track[track.length - 1].time : 0));
+  }
+
+  /**
+   * Region map of the regions option, or null when the whole file is humanized
+   * @param {Object} midiData - Parsed MIDI data
+   * @returns {RegionMap|null}
+   */
+  buildRegionMap(midiData) {
+    const { regions, regionBlend } = this.options;
+    if (!Array.isArray(regions) || regions.length === 0) return null;
+
+    const regionMap = RegionMap.fromRegions(regions, this.meterMap, regionBlend * this.beatTicks, this.getEndTick(midiData));
+    return regionMap.regions.length > 0 ? regionMap : null;
+  }
+
+  /**
+   * Settings of a region: its own style, intensity and variation multipliers over the track's
+   * Swing, pedaling and rubato follow the track and global settings.
+   * @param {Object} settings - Track settings from getTrackSettings
+   * @param {Object} region - Region with optional { style, intensity, timingVariation, velocityVariation }
+   * @returns {Object} Settings in the form of getTrackSettings
+   */
+  getRegionSettings(settings, region) {
+    return {
+      ...settings,
+      style: region.style ? StylePresets.resolve(region.style) : settings.style,
+      intensity: Number.isFinite(region.intensity) ? region.intensity : settings.intensity,
+      timingVariation: settings.timingVariation * (Number.isFinite(region.timingVariation) ? region.timingVariation : 1),
+      velocityVariation: settings.velocityVariation * (Number.isFinite(region.velocityVariation) ? region.velocityVariation : 1)
+    };
+  }
+
+  /**
+   * Humanize a track with the settings of each region
+   * The track is humanized once per distinct region setting and every event takes the
+   * version of the region its note starts in. Locked sections are restored by lockRegions.
+   * @param {Array} track - MIDI track events, tagged with their written index
+   * @param {Object} settings - Track settings from getTrackSettings
+   * @param {Object|null} trackAnalysis - Analysis of the track
+   * @param {RegionMap} regionMap - Sections to humanize
+   * @returns {Array} Humanized track events
+   */
+  humanizeRegions(track, settings, trackAnalysis, regionMap) {
+    const versions = new Map(); // region settings -> humanized events by written index
+    const getVersion = regionIndex => {
+      const regionSettings = this.getRegionSettings(settings, regionMap.regions[Math.max(0, regionIndex)]);
+      const key = JSON.stringify(regionSettings);
+      if (!versions.has(key)) {
+        const humanized = this.humanizeTrack(track, regionSettings, trackAnalysis);
+        versions.set(key, new Map(humanized.map(event => [event.sourceIndex, event])));
+      }
+      return versions.get(key);
+    };
+
+    // Note-offs follow the region of their note-on
+    const regionIndices = track.map(event => regionMap.getRegionIndex(event.time));
+    NoteModel.extractNotes(track).forEach(note => {
+      if (note.noteOffIndex !== -1) {
+        regionIndices[note.noteOffIndex] = regionIndices[note.noteOnIndex];
+      }
+    });
+
+    const humanizedTrack = track.map((event, index) => getVersion(regionIndices[index]).get(event.sourceIndex));
+    humanizedTrack.sort((a, b) => a.time - b.time);
+    this.enforceMinimumSpacing(humanizedTrack);
+    humanizedTrack.sort((a, b) => a.time - b.time);
+    this.keepEndOfTrackLast(humanizedTrack);
+
+    return humanizedTrack;
+  }
+
+  /**
+   * Restore the locked sections and fade the humanization in and out at their edges
+   * Every event moves back towards its written time and velocity by the weight at its
+   * note's onset, so both ends of a note share one weight. Events added by the stages
+   * (pedaling) have no written counterpart and are left as they are.
+   * @param {Array} sourceTracks - Original tracks
+   * @param {Array} tracks - Humanized tracks with events tagged by written index, modified in place
+   * @param {RegionMap} regionMap - Sections to humanize
+   */
+  lockRegions(sourceTracks, tracks, regionMap) {
+    tracks.forEach((track, trackIndex) => {
+      const source = sourceTracks[trackIndex];
+      const onsets = new Map(); // note-off index -> note-on index
+      NoteModel.extractNotes(source).forEach(note => {
+        if (note.noteOffIndex !== -1) {
+          onsets.set(note.noteOffIndex, note.noteOnIndex);
+        }
+      });
+
+      track.forEach(event => {
+        if (event.sourceIndex === undefined) return;
+
+        const written = source[event.sourceIndex];
+        const onset = onsets.has(event.sourceIndex) ? source[onsets.get(event.sourceIndex)] : written;
+        const weight = regionMap.getWeight(onset.time);
+        if (weight >= 1) return;
+
+        event.time = Math.round(written.time + (event.time - written.time) * weight);
+        if (event.velocity !== undefined) {
+          event.velocity = Math.round(written.velocity + (event.velocity - written.velocity) * weight);
+        }
+      });
+
+      track.sort((a, b) => a.time - b.time);
+      this.keepEndOfTrackLast(track);
+    });
+  }
+
+  /**
+   * Anchor positions from the anchors options
+   * Markers include cue points, as film cues are often written as either.
+   * @param {Object} midiData - Parsed MIDI data
+   * @returns {Array} Sorted anchor ticks (empty when anchoring is off)
+   */
+  getAnchorTicks(midiData) {
+    const { anchors, anchorEveryBars } = this.options;
+    const ticks = [...(this.options.anchorTicks || [])];
+
+    if (anchors === 'downbeats' || anchors === 'bars') {
+      const every = anchors === 'bars' ? Math.max(1, Math.round(anchorEveryBars)) : 1;
+      ticks.push(...this.meterMap.getBarLines(this.getEndTick(midiData)).filter((tick, bar) => bar % every === 0));
+    } else if (anchors === 'markers') {
+      midiData.tracks.forEach(track => track.forEach(event => {
+        if (event.status === 0xFF && (event.metaType === MARKER || event.metaType === CUE_POINT)) {
+          ticks.push(event.time);
+        }
+      }));
+    }
+
+    return [...new Set(ticks.filter(tick => Number.isFinite(tick) && tick >= 0))].sort((a, b) => a - b);
+  }
+
+  /**
+   * Pull the timing deviation back to zero at each anchor
+   * The drift at an anchor is the mean deviation of the onsets placed around it. That drift
+   * is removed, interpolated between anchors, so the deviations between anchors keep their
+   * shape; events placed on an anchor go back to it exactly. Positions are taken after
+   * quantize and swing, so those moves are kept.
+   * @param {Array} stagedTimes - Per track, written index -> time after quantize and swing
+   * @param {Array} tracks - Humanized tracks with events tagged by written index, modified in place
+   * @param {Array} anchors - Sorted anchor ticks
+   */
+  applyAnchors(stagedTimes, tracks, anchors) {
+    const onsets = []; // { written, deviation } of every humanized note-on
+    tracks.forEach((track, trackIndex) => track.forEach(event => {
+      if (event.sourceIndex === undefined || !NoteModel.isNoteOn(event)) return;
+      const written = stagedTimes[trackIndex].get(event.sourceIndex);
+      onsets.push({ written, deviation: event.time - written });
+    }));
+
+    const window = this.beatTicks / 2;
+    const drifts = []; // { tick, drift } at anchors with onsets around them
+    anchors.forEach(tick => {
+      const near = onsets.filter(onset => Math.abs(onset.written - tick) <= window);
+      if (near.length === 0) return;
+      drifts.push({ tick, drift: near.reduce((sum, onset) => sum + onset.deviation, 0) / near.length });
+    });
+    if (drifts.length === 0) return;
+
+    const getDrift = tick => {
+      const next = drifts.findIndex(point => point.tick >= tick);
+      if (next === -1) return drifts[drifts.length - 1].drift;
+      if (next === 0) return drifts[0].drift;
+
+      const a = drifts[next - 1];
+      const b = drifts[next];
+      return a.drift + (b.drift - a.drift) * (tick - a.tick) / (b.tick - a.tick);
+    };
+
+    const anchorSet = new Set(anchors);
+    tracks.forEach((track, trackIndex) => {
+      track.forEach(event => {
+        // Meta and SysEx events are left where they are
+        if (event.type === undefined) return;
+
+        const written = event.sourceIndex !== undefined ? stagedTimes[trackIndex].get(event.sourceIndex) : null;
+        if (written !== null && anchorSet.has(written)) {
+          event.time = written;
+          return;
+        }
+        event.time = Math.max(0, Math.round(event.time - getDrift(written !== null ? written : event.time)));
+      });
+
+      track.sort((a, b) => a.time - b.time);
+      this.keepEndOfTrackLast(track);
+    });
+
+    this.report.anchors = { positions: anchors.length, drifts: drifts.length };
+  }
+
+  /**
+   * Check whether a note or event is left out of the melodic and harmonic rules
+   */
+  isExcludedDrum(event) {
+    return this.options.excludeDrums && TrackInfo.isPercussion(event);
+  }
+
   /**
    * Humanize individual track
+   * @param {Array} track - MIDI track events
+   * @param {Object} settings - Track settings from getTrackSettings
+   * @param {Object|null} trackAnalysis - Analysis of the track
    */
-  humanizeTrack(track, style, intensity, trackAnalysis = null) {
-    const humanizedTrack = [];
-    let cumulativeDrift = 0;
-    const beatTicks = 480; // Standard MIDI ticks per beat
+  humanizeTrack(track, settings, trackAnalysis = null) {
+    const humanizedTrack = track.map(event => ({ ...event }));
+    const notes = NoteModel.extractNotes(track).filter(note => !this.isExcludedDrum(note));
+    const beatTicks = this.beatTicks;
+    const { style, intensity, timingVariation, velocityVariation } = settings;
+    const { dynamicRange } = this.options;
+    const timingIntensity = intensity * timingVariation;
+    const velocityIntensity = intensity * velocityVariation;
+
+    // Each hand has its own timing noise, so a steady left hand can carry a freer right hand
+    const hands = this.handSeparator.assignHands(notes, this.getSimultaneityWindow());
+    hands.forEach((hand, note) => this.report.hands.set(humanizedTrack[note.noteOnIndex], hand));
+    const noiseSettings = NoiseModel.getStyleSettings(style, this.options.noiseModel);
+    const noise = {
+      left: new NoiseModel(noiseSettings, this.rng),
+      right: new NoiseModel(noiseSettings, this.rng)
+    };
+
+    // Deviations learned from a performance, per note context
+    const learned = this.predictLearnedDeviations(notes, trackAnalysis?.phrasing || []);
     
-    track.forEach((event, index) => {
-      const newEvent = { ...event };
-      
-      // Humanize note events
-      if (event.type === 0x90 && event.velocity > 0) {
-        // Note on - humanize timing, velocity, and prepare for duration
-        newEvent.time = this.humanizeTimingIntelligent(
-          event.time, event, style, intensity, trackAnalysis, index, cumulativeDrift, beatTicks
-        );
-        newEvent.velocity = this.humanizeVelocityIntelligent(
-          event.velocity, event, style, intensity, trackAnalysis, index
-        );
+    // Note onsets - timing and velocity, from the groove template or the style rules
+    if (this.options.grooveTemplate) {
+      this.grooveTemplate.apply(notes, humanizedTrack, {
+        template: this.options.grooveTemplate,
+        strength: this.options.grooveStrength,
+        timingIntensity,
+        velocityIntensity,
+        rng: this.rng,
+        meterMap: this.meterMap,
+        ticksPerQuarter: this.ticksPerQuarter
+      });
+    } else {
+      notes.forEach(note => {
+        const noteOn = humanizedTrack[note.noteOnIndex];
+        const hand = hands.get(note);
+        const profile = this.handSeparator.getProfile(style, hand);
+        const { wander, jitter } = noise[hand].sample(this.tempoMap.ticksToSeconds(note.startTime));
         
-        // Update cumulative drift for groove consistency
-        cumulativeDrift += (newEvent.time - event.time) * 0.1; // Small influence
-        cumulativeDrift = Math.max(-50, Math.min(50, cumulativeDrift)); // Constrain drift
-      } else if (event.type === 0x80 || (event.type === 0x90 && event.velocity === 0)) {
-        // Note off - humanize timing for duration effects
-        newEvent.time = this.humanizeTimingIntelligent(
-          event.time, event, style, intensity, trackAnalysis, index, cumulativeDrift, beatTicks
+        noteOn.time = this.humanizeTimingIntelligent(
+          note.startTime, note.noteOnEvent, style, timingIntensity * profile.timing, trackAnalysis, note.noteOnIndex,
+          wander * profile.drift + jitter, beatTicks, learned.get(note), timingVariation
         );
-      } else {
-        // Non-note events - minimal humanization
-        if (event.time > 0) {
-          const timingVariation = this.getTimingVariation(style) * intensity * (this.rng() - 0.5) * 0.5;
-          newEvent.time = Math.max(0, event.time + Math.round(timingVariation));
-        }
+        noteOn.velocity = this.humanizeVelocityIntelligent(
+          note.velocity, note.noteOnEvent, style, velocityIntensity, trackAnalysis, note.noteOnIndex, learned.get(note)
+        );
+        noteOn.velocity = Math.max(1, Math.min(127, noteOn.velocity + profile.velocity * velocityIntensity));
+      });
+    }
+    
+    // Wide chords - rolled from the humanized chord onset; rolls are timing, so they narrow
+    // with the timing intensity and reach their full width at the default intensity
+    let rolledNotes = new Set();
+    if (this.options.chordRoll && timingIntensity > 0) {
+      rolledNotes = this.chordRoll.apply(notes, humanizedTrack, {
+        style,
+        timingIntensity,
+        spread: Math.min(1, timingIntensity / DEFAULT_OPTIONS.intensity),
+        rng: this.rng,
+        tempoMap: this.tempoMap,
+        beatTicks,
+        hands,
+        rollFinalCadence: this.options.rollFinalCadence
+      });
+    }
+
+    // Voicing - melody lead over chords, balanced bass and inner voices
+    this.voicing.apply(notes, humanizedTrack, {
+      style,
+      timingIntensity,
+      velocityIntensity,
+      tempoMap: this.tempoMap,
+      window: this.getSimultaneityWindow(),
+      rolledNotes
+    });
+
+    // Velocity spread around the phrase arc (groove templates bring their own accents, no arc)
+    if (dynamicRange !== 1) {
+      const arcIntensity = this.options.grooveTemplate ? 0 : velocityIntensity;
+      this.applyDynamicRange(notes, humanizedTrack, trackAnalysis, style, arcIntensity, dynamicRange);
+    }
+    
+    // Note lengths - the articulation stage places note-offs relative to the new onsets
+    this.articulation.apply(notes, humanizedTrack, {
+      style,
+      timingIntensity,
+      rng: this.rng,
+      tempoMap: this.tempoMap,
+      beatTicks,
+      phrases: trackAnalysis?.phrasing || [],
+      lengthRatios: this.options.learnedProfile ?
+        new Map([...learned].map(([note, deviation]) => [note, deviation.articulation])) :
+        null
+    });
+
+    // GM percussion - drummer rules in place of the melodic ones
+    if (this.options.excludeDrums && this.options.percussion) {
+      const drumNotes = NoteModel.extractNotes(track).filter(note => TrackInfo.isPercussion(note));
+      if (drumNotes.length > 0) {
+        const result = this.percussion.apply(drumNotes, humanizedTrack, {
+          style,
+          timingIntensity,
+          velocityIntensity,
+          rng: this.rng,
+          tempoMap: this.tempoMap,
+          meterMap: this.meterMap
+        });
+        this.report.percussion.set(track, result);
+      }
+    }
+    
+    // Other channel events - minimal humanization.
+    // Meta and SysEx events (tempo, time signature, GS/XG resets...) keep their position
+    const overallDeviation = this.options.learnedProfile ?
+      this.performanceLearner.predict(this.options.learnedProfile) :
+      null;
+    humanizedTrack.forEach(event => {
+      if (event.type >= 0xA0 && event.type <= 0xEF && event.time > 0 && !this.isExcludedDrum(event)) {
+        const jitter = this.getTimingVariation(style, event.time, overallDeviation) * timingIntensity * (this.rng() - 0.5) * 0.5;
+        event.time = Math.max(0, event.time + Math.round(jitter));
       }
-      
-      humanizedTrack.push(newEvent);
     });
     
     // Ensure events remain in chronological order
@@ -96,39 +643,269 @@ export class Humanizer {
     
     // Enforce minimum spacing between events
     this.enforceMinimumSpacing(humanizedTrack);
+    humanizedTrack.sort((a, b) => a.time - b.time);
+    this.keepEndOfTrackLast(humanizedTrack);
     
     return humanizedTrack;
   }
 
+  /**
+   * Predict the learned deviations of each note from the learned profile
+   * @param {Array} notes - Notes of the track
+   * @param {Array} phrases - Phrase boundaries of the track in ticks
+   * @returns {Map} note -> { timingMean, timingSpread, velocityMean, velocitySpread, articulation }
+   */
+  predictLearnedDeviations(notes, phrases) {
+    const deviations = new Map();
+    const profile = this.options.learnedProfile;
+    if (!profile) return deviations;
+
+    const roles = this.performanceLearner.getChordRoles(notes, this.getSimultaneityWindow());
+    notes.forEach(note => {
+      const context = this.performanceLearner.getContext(note, { meterMap: this.meterMap, phrases, roles });
+      deviations.set(note, this.performanceLearner.predict(profile, context));
+    });
+
+    return deviations;
+  }
+
+  /**
+   * Swing the off-beat subdivisions of the enabled tracks
+   * Tracks with the same swing are swung together, so triplets written in one track keep
+   * the others from swinging the same pair.
+   * @param {Array} tracks - Tracks to swing, modified in place
+   * @param {Array} trackSettings - Settings of each track from getTrackSettings
+   */
+  applySwing(tracks, trackSettings) {
+    // A groove template brings its own feel in place of the style's swing
+    const mode = this.options.grooveTemplate && this.options.swing === 'auto' ? 'off' : this.options.swing;
+    const groups = new Map(); // subdivision and ratio -> { swing, tracks }
+
+    tracks.forEach((track, index) => {
+      if (!trackSettings[index].enabled) return;
+
+      const swing = this.swing.resolve(trackSettings[index].style, mode, this.options.swingRatio);
+      if (!swing) return;
+
+      const key = `${swing.subdivision} ${swing.ratio}`;
+      if (!groups.has(key)) {
+        groups.set(key, { swing, tracks: [] });
+      }
+      groups.get(key).tracks.push(track);
+    });
+
+    groups.forEach(({ swing, tracks: swungTracks }) => {
+      const result = this.swing.apply(swungTracks, {
+        ...swing,
+        ticksPerQuarter: this.ticksPerQuarter,
+        tempoMap: this.tempoMap,
+        meterMap: this.meterMap
+      });
+
+      this.report.swing.push({ ...swing, swungPairs: result.swungPairs, tripletPairs: result.tripletPairs });
+    });
+  }
+
+  /**
+   * Quantize the notes of each enabled track before humanizing
+   * With 'auto' each track gets the grid estimated from its own onsets.
+   * @param {Array} tracks - Tracks to quantize, modified in place
+   * @param {Array} trackSettings - Settings of each track from getTrackSettings
+   */
+  quantizeTracks(tracks, trackSettings) {
+    const { quantize, quantizeStrength, quantizeWindow, quantizeEnds } = this.options;
+
+    tracks.forEach((track, index) => {
+      if (!trackSettings[index].enabled) return;
+
+      const notes = NoteModel.extractNotes(track);
+      if (notes.length === 0) return;
+
+      const grid = quantize === 'auto' ?
+        this.quantizer.estimateGrid(notes, this.meterMap, this.ticksPerQuarter) :
+        quantize;
+      const result = this.quantizer.apply(notes, track, {
+        grid,
+        strength: quantizeStrength,
+        window: quantizeWindow,
+        quantizeEnds,
+        meterMap: this.meterMap,
+        ticksPerQuarter: this.ticksPerQuarter
+      });
+      track.sort((a, b) => a.time - b.time);
+      this.keepEndOfTrackLast(track);
+
+      this.report.quantize.push({ track: index, grid, moved: result.moved, notes: notes.length });
+    });
+  }
+
+  /**
+   * Shape the tempo over each phrase
+   * In 'tempo' mode the curve is written as tempo events in the conductor track and notes
+   * stay on the grid; in 'notes' mode the same curve moves the events instead. Disabled tracks
+   * keep their notes in 'notes' mode, and no tempo events are written when every track is disabled.
+   * @param {Array} tracks - Humanized tracks, modified in place
+   * @param {Array} trackSettings - Settings of each track (see getTrackSettings)
+   * @param {Object} analysis - Resolved analysis (phrases and dynamic peaks)
+   * @param {Object} style - Style preset (see StylePresets)
+   * @param {number} intensity - Humanization intensity (0-1)
+   * @param {string} mode - 'tempo' or 'notes'
+   */
+  applyRubato(tracks, trackSettings, analysis, style, intensity, mode = this.options.rubato) {
+    const phrases = analysis.phrases?.length > 0 ?
+      analysis.phrases :
+      analysis.tracks.find(t => t.phrasing?.length > 0)?.phrasing || [];
+    const enabledTracks = tracks.filter((track, index) => trackSettings[index].enabled);
+    if (phrases.length === 0 || enabledTracks.length === 0) return;
+
+    const peaks = analysis.tracks.find(t => t.dynamics?.peaks?.length > 0)?.dynamics.peaks || [];
+    const rubatoMap = this.rubato.buildTempoMap(this.tempoMap, phrases, peaks, {
+      style,
+      amount: intensity * this.options.timingVariation,
+      beatTicks: this.beatTicks
+    });
+
+    if (mode === 'notes') {
+      this.rubato.applyToNotes(enabledTracks, this.tempoMap, rubatoMap);
+    } else {
+      this.rubato.writeTempoEvents(tracks, rubatoMap);
+    }
+    tracks.forEach(track => this.keepEndOfTrackLast(track));
+
+    this.report.rubato = { mode, phrases: phrases.length, segments: rubatoMap.segments.length };
+  }
+
+  /**
+   * Expand or compress the velocity spread around the phrase arc
+   * Each note's distance from the arc is scaled; the arc itself and the phrase's average
+   * level are kept.
+   * @param {Array} notes - Notes of the original track
+   * @param {Array} events - Humanized copy of the track (same indices as the original)
+   * @param {Object} analysis - Track analysis with the phrasing the arc follows
+   * @param {Object} style - Style whose phrase arc was applied
+   * @param {number} intensity - Velocity intensity the arc was applied with (0 = no arc)
+   * @param {number} dynamicRange - Spread factor (1 = unchanged)
+   */
+  applyDynamicRange(notes, events, analysis, style, intensity, dynamicRange) {
+    const phrases = analysis?.phrasing || [];
+    const groups = new Map(); // phrase index (-1 = outside any phrase) -> notes
+    notes.forEach(note => {
+      const phraseIndex = phrases.findIndex(p => note.startTime >= p.start && note.startTime <= p.end);
+      if (!groups.has(phraseIndex)) {
+        groups.set(phraseIndex, []);
+      }
+      groups.get(phraseIndex).push(note);
+    });
+
+    groups.forEach(phraseNotes => {
+      const arc = phraseNotes.map(note =>
+        this.getPhraseArc(note.startTime, style, intensity, analysis) * style.velocity.scale
+      );
+      const deviations = phraseNotes.map((note, i) => events[note.noteOnIndex].velocity - arc[i]);
+      const mean = deviations.reduce((sum, d) => sum + d, 0) / deviations.length;
+
+      phraseNotes.forEach((note, i) => {
+        const velocity = arc[i] + mean + (deviations[i] - mean) * dynamicRange;
+        events[note.noteOnIndex].velocity = Math.max(1, Math.min(127, velocity));
+      });
+    });
+  }
+
+  /**
+   * Add sustain pedal (CC64) events following the chord changes of each piano channel
+   * @param {Array} sourceTracks - Original tracks (harmony is analyzed on the written notes)
+   * @param {Array} humanizedTracks - Humanized tracks, modified in place
+   * @param {Array} trackSettings - Settings of each track; a channel follows the track holding its notes
+   * @param {boolean} keepExistingPedal - Leave channels that already have pedaling untouched
+   * @param {RegionMap|null} regionMap - Sections to humanize; pedaling is only added there and
+   *   the file's own pedaling is always kept
+   */
+  addSustainPedal(sourceTracks, humanizedTracks, trackSettings, keepExistingPedal = true, regionMap = null) {
+    const channels = this.sustainPedal.findPedalChannels(sourceTracks);
+
+    channels.forEach(({ trackIndex, hasPedal }, channel) => {
+      const { enabled, style, intensity } = trackSettings[trackIndex];
+      if (!enabled || (hasPedal && (keepExistingPedal || regionMap))) return;
+
+      const onChannel = event => (event.channel || 0) === channel;
+
+      // Replace the file's pedaling on this channel
+      if (hasPedal) {
+        humanizedTracks.forEach((track, index) => {
+          humanizedTracks[index] = track.filter(event => !(SustainPedal.isSustainEvent(event) && onChannel(event)));
+        });
+      }
+
+      // Harmony of the whole channel, including parts split across tracks (e.g. one per hand)
+      const channelEvents = sourceTracks
+        .flatMap(track => track.filter(event =>
+          onChannel(event) && (NoteModel.isNoteOn(event) || NoteModel.isNoteOff(event))
+        ))
+        .sort((a, b) => a.time - b.time);
+      const chords = this.analyzeChordProgression(channelEvents);
+
+      const notes = humanizedTracks
+        .flatMap(track => NoteModel.extractNotes(track))
+        .filter(note => note.channel === channel)
+        .sort((a, b) => a.startTime - b.startTime);
+
+      let pedalEvents = this.sustainPedal.generate(chords, notes, channel, {
+        style,
+        intensity,
+        rng: this.rng,
+        tempoMap: this.tempoMap,
+        beatTicks: this.beatTicks
+      });
+
+      // Only pedals pressed inside a region; events come in down/up pairs
+      if (regionMap) {
+        pedalEvents = pedalEvents.filter((event, index) =>
+          regionMap.getWeight(pedalEvents[index - index % 2].time) > 0
+        );
+      }
+
+      const track = humanizedTracks[trackIndex];
+      track.push(...pedalEvents);
+      track.sort((a, b) => a.time - b.time);
+      this.keepEndOfTrackLast(track);
+
+      this.report.pedal.push({ channel, changes: pedalEvents.length / 2 });
+    });
+  }
+
   /**
    * Intelligent timing humanization based on musical context
+   * @param {number|null} noise - Timing noise from a NoiseModel (about -1 to 1); drawn
+   *   independently when not given
+   * @param {number} timingVariation - Timing variation multiplier of the track, also widens the limit
    */
-  humanizeTimingIntelligent(time, note, style, intensity, analysis, eventIndex, cumulativeDrift = 0, beatTicks = 480) {
+  humanizeTimingIntelligent(time, note, style, intensity, analysis, eventIndex, noise = null, beatTicks = this.beatTicks, learned = null, timingVariation = this.options.timingVariation) {
     if (!this.rng) {
       this.seedRandom(42); // Fallback seed
     }
     
     let adjustment = 0;
-    const maxAdjustment = Math.min(40, beatTicks * 0.08); // Max 8% of a beat
+    const scale = this.getResolutionScale(); // Tick amounts below are tuned at 480 PPQ
+    // Max 8% of a beat, and never more than 40ms at the local tempo (scaled with the timing variation)
+    const maxAdjustment = Math.min(this.tempoMap.secondsToTicksAt(time, 0.04), beatTicks * 0.08) * timingVariation;
     
-    // Base timing variation for the style
-    const baseVariation = this.getTimingVariation(style) * intensity;
-    adjustment += baseVariation * (this.rng() - 0.5) * 2;
-    
-    // Add cumulative drift for groove consistency
-    adjustment += cumulativeDrift * intensity * 0.3;
+    // Base timing variation for the style, or as learned from a performance
+    const baseVariation = this.getTimingVariation(style, time, learned) * intensity;
+    adjustment += baseVariation * (noise !== null ? noise : (this.rng() - 0.5) * 2);
+    if (learned) {
+      adjustment += this.tempoMap.secondsToTicksAt(time, learned.timingMean) * intensity;
+    }
     
     // Musical context adjustments
     if (analysis && analysis.rhythm) {
       // Groove adjustments
       if (analysis.rhythm.groove) {
-        const beat = (time / beatTicks) % 4;
-        if (style === 'jazz' && beat % 2 === 1) {
-          // Jazz swing - delay off-beats
-          adjustment += intensity * 8;
-        } else if (style === 'pop' && Math.floor(beat) % 2 === 0) {
-          // Pop - slightly early on strong beats
-          adjustment -= intensity * 3;
+        // Strong beats weigh 0.6 and above (downbeat, 3 in 4/4, group starts).
+        // Swing has its own stage (applySwing)
+        const weight = this.meterMap.getWeight(time);
+        if (weight >= 0.6) {
+          // Pushed (pop) or laid back on strong beats
+          adjustment += intensity * style.timing.strongBeatShift * scale;
         }
       }
     }
@@ -144,21 +921,20 @@ export class Humanizer {
         
         // Phrase beginning - slightly more relaxed timing
         if (phrasePosition < 0.2) {
-          adjustment += intensity * (0.2 - phrasePosition) * 10;
+          adjustment += intensity * (0.2 - phrasePosition) * style.phraseArc.startRelax * scale;
         }
         // Phrase ending - slight ritardando
         else if (phrasePosition > 0.8) {
-          adjustment += intensity * (phrasePosition - 0.8) * 15;
+          adjustment += intensity * (phrasePosition - 0.8) * style.phraseArc.endRitardando * scale;
         }
       }
     }
     
-    // Style-specific swing and groove patterns
-    if (style === 'jazz' && analysis.rhythm && analysis.rhythm.groove && analysis.rhythm.groove.swing) {
-      const beat = (time / 48) % 2;
-      if (beat >= 1) {
-        adjustment += intensity * 4; // Reduced from intensity * 8 to intensity * 4
-      }
+    // Harmonic tension - dominants arrive a little broadened, authentic resolutions settle in late
+    const harmonicChord = analysis?.harmony ? this.harmonicAnalyzer.getChordAt(analysis.harmony, time) : null;
+    if (harmonicChord && harmonicChord.change && time - harmonicChord.time < this.getSimultaneityWindow()) {
+      const resolutionDelay = harmonicChord.resolution === 'authentic' ? style.harmony.resolutionTiming : 0;
+      adjustment += intensity * (harmonicChord.tension * style.harmony.tensionTiming + resolutionDelay) * scale;
     }
     
     // Final constraint: ensure adjustment doesn't exceed maximum limits
@@ -170,27 +946,30 @@ export class Humanizer {
   /**
    * Intelligent velocity humanization with chord and phrase awareness
    */
-  humanizeVelocityIntelligent(velocity, note, style, intensity, analysis, eventIndex) {
+  humanizeVelocityIntelligent(velocity, note, style, intensity, analysis, eventIndex, learned = null) {
     if (!this.rng) {
       this.seedRandom(42); // Fallback seed
     }
     
     let adjustment = 0;
     
-    // Base velocity variation
-    const baseVariation = this.getVelocityVariation(style) * intensity;
+    // Base velocity variation, or as learned from a performance
+    const baseVariation = this.getVelocityVariation(style, learned) * intensity;
     adjustment += baseVariation * (this.rng() - 0.5) * 2;
+    if (learned) {
+      adjustment += learned.velocityMean * intensity;
+    }
     
     // Chord-based adjustments (2-2: コードなどを検知し軽微なベロシティの揺らぎを加える)
     if (analysis && analysis.chords) {
-      const eventTime = eventIndex * 10; // Approximate time for chord lookup
+      const eventTime = note.time;
       const currentChord = analysis.chords.find(c => 
         eventTime >= c.time && eventTime < c.time + c.duration
       );
       
       if (currentChord) {
         // Adjust velocity based on chord type and note role
-        const chordRoot = currentChord.notes[0] % 12;
+        const chordRoot = currentChord.root;
         const noteInChord = note.note % 12;
         
         // Root notes slightly stronger
@@ -211,93 +990,42 @@ export class Humanizer {
       }
     }
     
-    // Phrase-based dynamics (2-3: フレーズのピークなどを検知しダイナミクスを付ける)
-    if (analysis && analysis.phrasing) {
-      const eventTime = eventIndex * 10;
-      const currentPhrase = analysis.phrasing.find(p => 
-        eventTime >= p.start && eventTime <= p.end
-      );
-      
-      if (currentPhrase) {
-        const phrasePosition = (eventTime - currentPhrase.start) / (currentPhrase.end - currentPhrase.start);
-        const phraseDuration = (currentPhrase.end - currentPhrase.start) / 1000; // Convert to seconds
-        
-        // Create phrase arc with peaks
-        let phraseAdjustment = 0;
-        
-        if (phraseDuration > 2) {
-          // For longer phrases, create multiple peaks
-          const peaks = Math.floor(phraseDuration / 2); // One peak every 2 seconds
-          const peakPosition = phrasePosition * peaks;
-          const localPosition = peakPosition - Math.floor(peakPosition);
-          phraseAdjustment = intensity * Math.sin(localPosition * Math.PI) * 10;
-          
-          // Overall phrase arc
-          if (phrasePosition < 0.3) {
-            phraseAdjustment += intensity * phrasePosition * 8;
-          } else if (phrasePosition > 0.8) {
-            phraseAdjustment -= intensity * (phrasePosition - 0.8) * 25;
-          }
-        }
-        
-        // Style-specific adjustments to phrase dynamics
-        switch(style) {
-          case 'classical':
-            // More dramatic crescendos and diminuendos
-            phraseAdjustment *= 1.4;
-            break;
-          case 'jazz':
-            // More irregular, syncopated dynamics
-            phraseAdjustment *= (0.8 + Math.sin(phrasePosition * Math.PI * 4) * 0.3);
-            break;
-          case 'pop':
-            // More consistent, less dramatic changes
-            phraseAdjustment *= 0.7;
-            break;
-        }
-        
-        adjustment += phraseAdjustment;
+    // Harmonic tension - lean into dominants, relax on tonic chords and authentic resolutions
+    const harmonicChord = analysis?.harmony ? this.harmonicAnalyzer.getChordAt(analysis.harmony, note.time) : null;
+    if (harmonicChord) {
+      adjustment += intensity * (harmonicChord.tension - 0.5) * 2 * style.harmony.tensionVelocity;
+      if (harmonicChord.resolution === 'authentic') {
+        adjustment -= intensity * style.harmony.resolutionSoftening;
       }
     }
     
+    // Phrase-based dynamics (2-3: フレーズのピークなどを検知しダイナミクスを付ける)
+    const currentPhraseIndex = analysis && analysis.phrasing ?
+      analysis.phrasing.findIndex(p => note.time >= p.start && note.time <= p.end) : -1;
+    adjustment += this.getPhraseArc(note.time, style, intensity, analysis);
+    
     // Add inter-phrase dynamics for larger musical arc
-    if (analysis && analysis.phrasing && analysis.phrasing.length > 1) {
-      const currentPhraseIndex = analysis.phrasing.findIndex(p => 
-        eventIndex * 10 >= p.start && eventIndex * 10 <= p.end
-      );
+    if (currentPhraseIndex !== -1 && analysis.phrasing.length >= 3) {
+      const totalPhrases = analysis.phrasing.length;
+      const formPosition = currentPhraseIndex / Math.max(1, totalPhrases - 1);
       
-      if (currentPhraseIndex !== -1) {
-        const totalPhrases = analysis.phrasing.length;
-        const phraseProgress = currentPhraseIndex / Math.max(1, totalPhrases - 1);
-        
-        // Musical form dynamics (stronger towards middle/climax)
-        if (totalPhrases >= 3) {
-          const formPosition = phraseProgress;
-          if (formPosition > 0.3 && formPosition < 0.7) {
-            adjustment += intensity * 8; // Peak section
-          } else if (formPosition < 0.2 || formPosition > 0.8) {
-            adjustment -= intensity * 5; // Softer beginning/ending
-          }
-        }
+      // Musical form dynamics (stronger towards middle/climax)
+      if (formPosition > 0.3 && formPosition < 0.7) {
+        adjustment += intensity * 8; // Peak section
+      } else if (formPosition < 0.2 || formPosition > 0.8) {
+        adjustment -= intensity * 5; // Softer beginning/ending
       }
     }
     
-    // Style-specific velocity characteristics
-    switch(style) {
-      case 'classical':
-        // More dynamic range, expressive
-        adjustment *= 1.2;
-        break;
-      case 'jazz':
-        // Syncopated accents
-        if (this.rng() < 0.3) {
-          adjustment += intensity * 8;
-        }
-        break;
-      case 'pop':
-        // More consistent dynamics
-        adjustment *= 0.8;
-        break;
+    // Metrical accents - strong beats of the bar are played a little heavier
+    const metricWeight = this.meterMap.getWeight(note.time);
+    adjustment += intensity * (metricWeight - 0.4) * style.velocity.metricAccent;
+    
+    // Style-specific velocity characteristics: overall dynamic range and syncopated accents
+    const { scale, accentChance, accentAmount } = style.velocity;
+    adjustment *= scale;
+    if (accentChance > 0 && this.rng() < accentChance) {
+      adjustment += intensity * accentAmount;
     }
     
     // Ensure velocity stays within valid MIDI range
@@ -305,43 +1033,151 @@ export class Humanizer {
   }
 
   /**
-   * Get timing variation amount for style
+   * Velocity offset of the phrase arc at a position, before the style's velocity scale
+   * @returns {number} Offset in velocity steps (0 outside any phrase)
+   */
+  getPhraseArc(time, style, intensity, analysis) {
+    const currentPhraseIndex = analysis && analysis.phrasing ?
+      analysis.phrasing.findIndex(p => time >= p.start && time <= p.end) : -1;
+    if (currentPhraseIndex === -1) return 0;
+
+    const currentPhrase = analysis.phrasing[currentPhraseIndex];
+    const phraseLength = Math.max(1, currentPhrase.end - currentPhrase.start);
+    const phrasePosition = (time - currentPhrase.start) / phraseLength;
+    const phraseDuration = this.tempoMap.durationInSeconds(currentPhrase.start, currentPhrase.end);
+    
+    // Create phrase arc with peaks
+    let phraseAdjustment = 0;
+    
+    if (phraseDuration > 2) {
+      // For longer phrases, create multiple peaks
+      const peaks = Math.floor(phraseDuration / 2); // One peak every 2 seconds
+      const peakPosition = phrasePosition * peaks;
+      const localPosition = peakPosition - Math.floor(peakPosition);
+      phraseAdjustment = intensity * Math.sin(localPosition * Math.PI) * 10;
+    }
+
+    // Overall phrase arc, shaped towards the detected dynamic peak when available
+    const dynamicPeak = analysis.dynamics?.peaks?.find(p => p.phraseIndex === currentPhraseIndex);
+    if (dynamicPeak) {
+      const peakAt = Math.max(0.1, Math.min(0.9, dynamicPeak.position));
+      const arc = phrasePosition <= peakAt ?
+        phrasePosition / peakAt :
+        (1 - phrasePosition) / (1 - peakAt);
+      phraseAdjustment += intensity * (arc - 0.5) * 12;
+    } else if (phraseDuration > 2) {
+      if (phrasePosition < 0.3) {
+        phraseAdjustment += intensity * phrasePosition * 8;
+      } else if (phrasePosition > 0.8) {
+        phraseAdjustment -= intensity * (phrasePosition - 0.8) * 25;
+      }
+    }
+    
+    // Style depth of the phrase dynamics (classical dramatic, pop consistent), with an
+    // irregular wave for syncopated styles
+    const { depth, irregularity } = style.phraseArc;
+    phraseAdjustment *= depth + Math.sin(phrasePosition * Math.PI * 4) * irregularity;
+
+    return phraseAdjustment;
+  }
+
+  /**
+   * Get timing variation amount in ticks at a position
+   * A learned deviation gives the range of the performer's timing spread at the local
+   * tempo; otherwise the style's amount (tuned at 480 PPQ) is scaled to the file.
+   * @param {Object} style - Style preset (see StylePresets)
+   * @param {number} time - Tick position
+   * @param {Object|null} learned - Deviation from PerformanceLearner.predict
    */
-  getTimingVariation(style) {
-    switch(style) {
-      case 'classical': return 15;
-      case 'pop': return 8;
-      case 'jazz': return 20;
-      default: return 10;
+  getTimingVariation(style, time = 0, learned = null) {
+    if (learned) {
+      return this.tempoMap.secondsToTicksAt(time, learned.timingSpread * UNIFORM_RANGE);
     }
+
+    return style.timing.variation * this.getResolutionScale();
   }
 
   /**
-   * Get velocity variation amount for style
+   * Get velocity variation amount for style, or the range of a learned velocity spread
    */
-  getVelocityVariation(style) {
-    switch(style) {
-      case 'classical': return 12;
-      case 'pop': return 6;
-      case 'jazz': return 15;
-      default: return 8;
+  getVelocityVariation(style, learned = null) {
+    if (learned) {
+      return learned.velocitySpread * UNIFORM_RANGE;
     }
+
+    return style.velocity.variation;
+  }
+
+  /**
+   * Move the End of Track meta event (0x2F) back to the end after re-sorting
+   */
+  keepEndOfTrackLast(events) {
+    const endIndex = events.findIndex(e => e.status === 0xFF && e.metaType === 0x2F);
+    if (endIndex === -1 || endIndex === events.length - 1) return;
+
+    const [endOfTrack] = events.splice(endIndex, 1);
+    endOfTrack.time = Math.max(endOfTrack.time, events[events.length - 1].time);
+    events.push(endOfTrack);
   }
 
   /**
    * Enforce minimum spacing between events
+   * Events on the same tick stay together, so chords and written note-off/note-on pairs do not
+   * move when there is no timing variation.
    */
   enforceMinimumSpacing(events) {
-    const minSpacing = 3; // Minimum spacing between any events
+    const minSpacing = Math.max(1, Math.round(3 * this.getResolutionScale())); // Minimum spacing between channel events
+    let prevEvent = null;
     
-    for (let i = 1; i < events.length; i++) {
-      const prevEvent = events[i - 1];
-      const currentEvent = events[i];
+    events.forEach(currentEvent => {
+      // Meta and SysEx events are left where they are
+      if (currentEvent.type === undefined) return;
       
-      if (currentEvent.time - prevEvent.time < minSpacing) {
+      const gap = prevEvent ? currentEvent.time - prevEvent.time : Infinity;
+      if (gap > 0 && gap < minSpacing) {
         currentEvent.time = prevEvent.time + minSpacing;
       }
+      prevEvent = currentEvent;
+    });
+  }
+
+  /**
+   * Resolve the analysis used for humanization
+   * Fields from an external analysis take precedence over the built-in analysis
+   * @param {Array} tracks - MIDI tracks
+   * @param {Object} style - Style preset (see StylePresets)
+   * @param {boolean} isUserUpload - Whether the file was uploaded by the user
+   * @param {Object|null} externalAnalysis - Analysis produced by MIDIHumanizerApp
+   * @returns {Object} Analysis with one entry per track
+   */
+  resolveAnalysis(tracks, style, isUserUpload = false, externalAnalysis = null) {
+    if (!externalAnalysis || !Array.isArray(externalAnalysis.tracks)) {
+      return this.analyzeMusicStructure(tracks, style, isUserUpload);
     }
+
+    const analysis = {
+      tracks: [],
+      globalTempo: externalAnalysis.globalTempo || 120,
+      timeSignature: externalAnalysis.timeSignature || [4, 4],
+      phrases: externalAnalysis.phrases || [],
+      harmony: externalAnalysis.harmony || this.analyzeHarmony(tracks)
+    };
+
+    tracks.forEach((track, index) => {
+      const external = externalAnalysis.tracks[index] || {};
+      const phrasing = external.phrasing || (analysis.phrases.length > 0 ? analysis.phrases : null);
+
+      analysis.tracks.push({
+        chords: external.chords || this.analyzeChordProgression(track),
+        melody: external.melody !== undefined ? external.melody : this.analyzeMelody(track),
+        rhythm: external.rhythm !== undefined ? external.rhythm : this.analyzeRhythmicContext(track, style),
+        phrasing: phrasing || this.identifyPhraseBoundaries(track, isUserUpload),
+        dynamics: external.dynamics || this.analyzeDynamicStructure(track),
+        harmony: analysis.harmony
+      });
+    });
+
+    return analysis;
   }
 
   /**
@@ -350,8 +1186,9 @@ export class Humanizer {
   analyzeMusicStructure(tracks, style, isUserUpload = false) {
     const analysis = {
       tracks: [],
-      globalTempo: 120,
-      timeSignature: [4, 4]
+      globalTempo: this.tempoMap.getBPMAt(0),
+      timeSignature: [this.meterMap.segments[0].numerator, this.meterMap.segments[0].denominator],
+      harmony: this.analyzeHarmony(tracks)
     };
 
     tracks.forEach(track => {
@@ -360,7 +1197,8 @@ export class Humanizer {
         melody: this.analyzeMelody(track),
         rhythm: this.analyzeRhythmicContext(track, style),
         phrasing: this.identifyPhraseBoundaries(track, isUserUpload),
-        dynamics: this.analyzeDynamicStructure(track)
+        dynamics: this.analyzeDynamicStructure(track),
+        harmony: analysis.harmony
       };
       analysis.tracks.push(trackAnalysis);
     });
@@ -373,7 +1211,7 @@ export class Humanizer {
    */
   analyzeChordProgression(track) {
     const chords = [];
-    const chordDuration = 480 * 2; // 2 beats per chord analysis
+    const chordDuration = this.beatTicks * 2; // 2 beats per chord analysis
     const notes = this.extractNotesFromEvents(track);
     
     if (notes.length === 0) return chords;
@@ -407,62 +1245,32 @@ export class Humanizer {
    * Extract notes from MIDI events
    */
   extractNotesFromEvents(track) {
-    const notes = [];
-    const noteOnEvents = {};
-    
-    track.forEach(event => {
-      if (event.type === 0x90 && event.velocity > 0) {
-        noteOnEvents[event.note] = {
-          startTime: event.time,
-          velocity: event.velocity,
-          pitch: event.note
-        };
-      } else if ((event.type === 0x80) || (event.type === 0x90 && event.velocity === 0)) {
-        if (noteOnEvents[event.note]) {
-          const noteOn = noteOnEvents[event.note];
-          notes.push({
-            startTime: noteOn.startTime,
-            endTime: event.time,
-            duration: event.time - noteOn.startTime,
-            pitch: event.note,
-            velocity: noteOn.velocity
-          });
-          delete noteOnEvents[event.note];
-        }
-      }
-    });
-    
-    return notes.sort((a, b) => a.startTime - b.startTime);
+    return NoteModel.extractNotes(track);
   }
 
   /**
-   * Identify chord from notes
+   * Identify chord from notes, including sevenths and inversions (see HarmonicAnalyzer)
+   * @returns {Object|null} { root, quality, bass, inversion, notes } with notes as sorted pitch classes
    */
   identifyChord(notes) {
-    const pitches = [...new Set(notes.map(n => n.pitch % 12))].sort((a, b) => a - b);
-    
-    if (pitches.length < 2) return null;
-    
-    // Simple chord identification
-    const intervals = [];
-    for (let i = 1; i < pitches.length; i++) {
-      intervals.push((pitches[i] - pitches[0] + 12) % 12);
-    }
-    
-    let quality = 'unknown';
-    if (intervals.includes(4) && intervals.includes(7)) {
-      quality = 'major';
-    } else if (intervals.includes(3) && intervals.includes(7)) {
-      quality = 'minor';
-    } else if (intervals.includes(3) && intervals.includes(6)) {
-      quality = 'diminished';
-    }
-    
-    return {
-      root: pitches[0],
-      notes: pitches,
-      quality: quality
-    };
+    return this.harmonicAnalyzer.identifyChord(notes);
+  }
+
+  /**
+   * Key and Roman numeral analysis over all tracks
+   * Percussion is left out, as drum note numbers are not pitches.
+   * @param {Array} tracks - MIDI tracks
+   * @returns {Object} Harmony from HarmonicAnalyzer.analyze
+   */
+  analyzeHarmony(tracks) {
+    const notes = tracks
+      .flatMap(track => NoteModel.extractNotes(track))
+      .filter(note => !TrackInfo.isPercussion(note));
+
+    return this.harmonicAnalyzer.analyze(notes, {
+      windowTicks: this.beatTicks * 2,
+      beatTicks: this.beatTicks
+    });
   }
 
   /**
@@ -473,12 +1281,7 @@ export class Humanizer {
     if (notes.length === 0) return null;
     
     // Find melodic line (highest notes generally)
-    const melody = notes.filter(note => {
-      const simultaneousNotes = notes.filter(n => 
-        Math.abs(n.startTime - note.startTime) < 50
-      );
-      return note.pitch === Math.max(...simultaneousNotes.map(n => n.pitch));
-    });
+    const melody = NoteModel.getSkyline(notes, this.getSimultaneityWindow());
     
     return {
       range: Math.max(...melody.map(n => n.pitch)) - Math.min(...melody.map(n => n.pitch)),
@@ -506,8 +1309,11 @@ export class Humanizer {
 
   /**
    * Analyze rhythmic context
+   * @param {Array} track - MIDI track events
+   * @param {string|Object} style - Style id or preset; its swing and accents set the groove
    */
   analyzeRhythmicContext(track, style) {
+    const preset = StylePresets.resolve(style);
     const notes = this.extractNotesFromEvents(track);
     if (notes.length === 0) return null;
     
@@ -518,8 +1324,8 @@ export class Humanizer {
     return {
       averageDuration: averageDuration,
       groove: {
-        swing: style === 'jazz',
-        syncopation: style === 'jazz' || style === 'pop'
+        swing: preset.swing.subdivision !== null,
+        syncopation: preset.timing.strongBeatShift !== 0 || preset.velocity.accentChance > 0
       }
     };
   }
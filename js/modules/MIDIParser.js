@@ -98,15 +98,21 @@ export class MIDIParser {
       // Parse event
       let status = trackData[offset];
       
-      // Handle running status
+      // Handle running status (remembered so the file can be written back byte for byte)
+      let usesRunningStatus = false;
       if (status < 0x80) {
         status = runningStatus;
+        usesRunningStatus = true;
       } else {
-        runningStatus = status;
+        // SysEx and meta events cancel running status
+        runningStatus = status < 0xF0 ? status : 0;
         offset++;
       }
       
       const event = { time: currentTime, status };
+      if (usesRunningStatus) {
+        event.runningStatus = true;
+      }
       
       // Parse event data based on status
       if (status >= 0x80 && status <= 0xEF) {
@@ -134,9 +140,9 @@ export class MIDIParser {
           const msb = trackData[offset++];
           event.pitchBend = (msb << 7) | lsb;
         } else {
-          // Other channel messages
+          // Other channel messages (0xA0 polyphonic aftertouch, 0xD0 channel pressure)
           event.data1 = trackData[offset++];
-          if (type !== 0xC0 && type !== 0xD0) {
+          if (type !== 0xD0) {
             event.data2 = trackData[offset++];
           }
         }
@@ -178,6 +184,64 @@ export class MIDIParser {
     return events;
   }
 
+  /**
+   * Deep clone parsed MIDI data
+   * Unlike a JSON round trip, meta and SysEx data stay byte arrays
+   * @param {Object} midiData - Parsed MIDI data
+   * @returns {Object} Independent copy of the MIDI data
+   */
+  static cloneMIDIData(midiData) {
+    return {
+      ...midiData,
+      header: { ...midiData.header },
+      tracks: midiData.tracks.map(track => track.map(event => MIDIParser.cloneEvent(event)))
+    };
+  }
+
+  /**
+   * Clone a single MIDI event
+   * @param {Object} event - MIDI event
+   * @returns {Object} Copy of the event with its own data bytes
+   */
+  static cloneEvent(event) {
+    const clone = { ...event };
+
+    if (event.data !== undefined) {
+      clone.data = MIDIParser.toByteArray(event.data);
+    }
+    if (event.timeSignature) {
+      clone.timeSignature = { ...event.timeSignature };
+    }
+
+    return clone;
+  }
+
+  /**
+   * Normalize event data to a Uint8Array
+   * Accepts typed arrays, plain arrays and objects produced by JSON-serializing a Uint8Array
+   * @param {*} data - Event data
+   * @returns {Uint8Array} Data bytes
+   */
+  static toByteArray(data) {
+    if (data === null || data === undefined) {
+      return new Uint8Array(0);
+    }
+    if (ArrayBuffer.isView(data) || Array.isArray(data)) {
+      return Uint8Array.from(data);
+    }
+    if (typeof data === 'number') {
+      return Uint8Array.of(data);
+    }
+    if (typeof data === 'object') {
+      const keys = Object.keys(data)
+        .filter(key => /^\d+$/.test(key))
+        .sort((a, b) => a - b);
+      return Uint8Array.from(keys.map(key => data[key]));
+    }
+
+    return new Uint8Array(0);
+  }
+
   /**
    * Parse variable-length quantity
    * @param {Uint8Array} data - Data to parse from
@@ -293,40 +357,67 @@ export class MIDIParser {
   createEventData(events) {
     const data = [];
     let lastTime = 0;
+    let runningStatus = 0;
     
     events.forEach(event => {
-      // Delta time
-      const deltaTime = Math.max(0, Math.round(event.time - lastTime));
-      data.push(...this.createVariableLength(deltaTime));
-      lastTime = event.time;
+      // Delta time (absolute times are rounded so extra events don't shift their neighbours)
+      const time = Math.max(lastTime, Math.round(event.time));
+      data.push(...this.createVariableLength(time - lastTime));
+      lastTime = time;
       
       // Event data
       if (event.type >= 0x80 && event.type <= 0xEF) {
         // Channel messages
-        data.push(event.status || (event.type | event.channel));
+        const status = event.status || (event.type | event.channel);
+        
+        // Keep running status where the source file used it
+        if (!(event.runningStatus && status === runningStatus)) {
+          data.push(status);
+        }
+        runningStatus = status;
         
         if (event.type === 0x80 || event.type === 0x90) {
-          data.push(event.note, event.velocity);
+          data.push(event.note, this.toDataByte(event.velocity));
         } else if (event.type === 0xB0) {
-          data.push(event.controller, event.value);
+          data.push(event.controller, this.toDataByte(event.value));
         } else if (event.type === 0xC0) {
           data.push(event.program);
         } else if (event.type === 0xE0) {
           data.push(event.pitchBend & 0x7F, (event.pitchBend >> 7) & 0x7F);
+        } else if (event.type === 0xD0) {
+          data.push(event.data1);
+        } else {
+          data.push(event.data1, event.data2);
         }
       } else if (event.status === 0xFF) {
         // Meta events
+        const eventData = MIDIParser.toByteArray(event.data);
         data.push(0xFF, event.metaType);
-        const eventData = event.data || [];
-        const eventDataArray = Array.isArray(eventData) ? eventData : [eventData];
-        data.push(...this.createVariableLength(eventDataArray.length));
-        data.push(...eventDataArray);
+        data.push(...this.createVariableLength(eventData.length));
+        data.push(...eventData);
+        runningStatus = 0;
+      } else if (event.status === 0xF0 || event.status === 0xF7) {
+        // System exclusive (0xF0) and escaped / continuation packets (0xF7)
+        const eventData = MIDIParser.toByteArray(event.data);
+        data.push(event.status);
+        data.push(...this.createVariableLength(eventData.length));
+        data.push(...eventData);
+        runningStatus = 0;
       }
     });
     
     return new Uint8Array(data);
   }
 
+  /**
+   * Round and clamp a value to the 0-127 data byte range
+   * @param {number} value - Value such as a humanized velocity
+   * @returns {number} Valid MIDI data byte
+   */
+  toDataByte(value) {
+    return Math.max(0, Math.min(127, Math.round(value)));
+  }
+
   /**
    * Create variable-length quantity
    * @param {number} value - Value to encode
@@ -0,0 +1,267 @@
+/**
+ * Meter Map Module
+ * Metrical hierarchy (bars, beats and beat weights) from the time signature changes of a file
+ */
+
+// Beat weights of the beat groups in a bar, by number of beats
+const BEAT_WEIGHTS = {
+  1: [1],
+  2: [1, 0.5],
+  3: [1, 0.4, 0.4],
+  4: [1, 0.4, 0.7, 0.4]
+};
+const GROUP_START_WEIGHT = 0.6; // Later groups of irregular meters (e.g. the "2" of 3+2)
+const IN_GROUP_BEAT_WEIGHT = 0.35; // Beats inside a group (the 2nd and 3rd quarter of 3+2 in 5/4)
+const HALF_BEAT_WEIGHT = 0.3;
+const SUBDIVISION_WEIGHT = 0.2;  // Other subdivisions on the grid of the time signature unit
+const OFF_GRID_WEIGHT = 0.1;
+
+export class MeterMap {
+  /**
+   * @param {number} ticksPerQuarter - File resolution (PPQ)
+   * @param {Array} timeSignatures - Changes as { time, numerator, denominator }
+   */
+  constructor(ticksPerQuarter = 480, timeSignatures = []) {
+    this.ticksPerQuarter = ticksPerQuarter || 480;
+    this.segments = this.buildSegments(timeSignatures);
+  }
+
+  /**
+   * Build a meter map from parsed MIDI data
+   * Time signature meta events (0x58) are collected from all tracks
+   * @param {Object} midiData - Parsed MIDI data
+   * @returns {MeterMap} Meter map for the file
+   */
+  static fromMIDIData(midiData) {
+    const timeSignatures = [];
+
+    (midiData?.tracks || []).forEach(track => {
+      track.forEach(event => {
+        if (event.status === 0xFF && event.metaType === 0x58 && event.timeSignature) {
+          timeSignatures.push({
+            time: event.time,
+            numerator: event.timeSignature.numerator,
+            denominator: event.timeSignature.denominator
+          });
+        }
+      });
+    });
+
+    return new MeterMap(midiData?.ticksPerQuarter, timeSignatures);
+  }
+
+  /**
+   * Split a bar into beat groups, in units of the time signature denominator
+   * Compound meters (6/8, 9/8, 12/8) have dotted beats; irregular meters are grouped in
+   * twos and threes (5 = 3+2, 7 = 2+2+3).
+   * @param {number} numerator - Time signature numerator
+   * @param {number} denominator - Time signature denominator
+   * @returns {Array} Group lengths in units
+   */
+  static getBeatGroups(numerator, denominator) {
+    if (numerator >= 6 && numerator % 3 === 0 && denominator >= 8) {
+      return new Array(numerator / 3).fill(3);
+    }
+    if (numerator <= 4) {
+      return new Array(numerator).fill(1);
+    }
+    if (numerator === 5) return [3, 2];
+    if (numerator === 7) return [2, 2, 3];
+
+    const groups = new Array(Math.floor(numerator / 2)).fill(2);
+    if (numerator % 2 === 1) groups[groups.length - 1] = 3;
+    return groups;
+  }
+
+  /**
+   * Build meter segments with precomputed bar numbers
+   * @param {Array} timeSignatures - Time signature changes
+   * @returns {Array} Segments sorted by tick
+   */
+  buildSegments(timeSignatures) {
+    const sorted = [...timeSignatures]
+      .filter(signature => signature.numerator > 0 && signature.denominator > 0)
+      .sort((a, b) => a.time - b.time);
+    const segments = [this.createSegment(0, 4, 4, 0)];
+
+    sorted.forEach(({ time, numerator, denominator }) => {
+      const last = segments[segments.length - 1];
+
+      if (time === last.tick) {
+        // Later time signatures at the same tick win
+        segments[segments.length - 1] = this.createSegment(time, numerator, denominator, last.bar);
+        return;
+      }
+
+      const bar = last.bar + Math.ceil((time - last.tick) / last.barTicks);
+      segments.push(this.createSegment(time, numerator, denominator, bar));
+    });
+
+    return segments;
+  }
+
+  /**
+   * Create a meter segment with its beat layout
+   * Compound meters count dotted beats; otherwise the time signature unit is the beat and
+   * the beat groups (3+2 in 5/4) form a level above it that accents the first beat of each group.
+   */
+  createSegment(tick, numerator, denominator, bar) {
+    const unitTicks = this.ticksPerQuarter * 4 / denominator;
+    const groupLengths = MeterMap.getBeatGroups(numerator, denominator);
+    const regular = groupLengths.every(length => length === groupLengths[0]);
+    const compound = regular && groupLengths[0] === 3;
+    const weights = regular && BEAT_WEIGHTS[groupLengths.length];
+
+    let offset = 0;
+    const beats = [];
+    const groups = groupLengths.map((length, index) => {
+      const group = { offset: offset * unitTicks, length: length * unitTicks };
+      const beatCount = compound ? 1 : length;
+      for (let beat = 0; beat < beatCount; beat++) {
+        let weight = IN_GROUP_BEAT_WEIGHT;
+        if (beat === 0) {
+          weight = weights ? weights[index] : (index === 0 ? 1 : GROUP_START_WEIGHT);
+        }
+        beats.push({
+          offset: group.offset + beat * unitTicks,
+          length: group.length / beatCount,
+          weight,
+          group: index
+        });
+      }
+      offset += length;
+      return group;
+    });
+
+    return {
+      tick,
+      bar,
+      numerator,
+      denominator,
+      unitTicks,
+      barTicks: numerator * unitTicks,
+      compound,
+      beats,
+      groups
+    };
+  }
+
+  /**
+   * Find the segment active at a tick
+   */
+  getSegmentAt(tick) {
+    let index = 0;
+    while (index + 1 < this.segments.length && this.segments[index + 1].tick <= tick) {
+      index++;
+    }
+    return this.segments[index];
+  }
+
+  /**
+   * Metrical position of a tick
+   * @param {number} tick - Absolute tick position
+   * @returns {Object} { bar, barStart, beatIndex, beatStart, beatLength, beatPosition, groupIndex,
+   *   groupStart, groupLength, weight, compound, segment }
+   */
+  getPosition(tick) {
+    const segment = this.getSegmentAt(tick);
+    const barsIntoSegment = Math.floor((tick - segment.tick) / segment.barTicks);
+    const barStart = segment.tick + barsIntoSegment * segment.barTicks;
+    const barOffset = tick - barStart;
+
+    let beatIndex = segment.beats.length - 1;
+    while (beatIndex > 0 && segment.beats[beatIndex].offset > barOffset) {
+      beatIndex--;
+    }
+    const beat = segment.beats[beatIndex];
+    const beatPosition = (barOffset - beat.offset) / beat.length; // 0-1 within the beat
+    const group = segment.groups[beat.group];
+
+    return {
+      bar: segment.bar + barsIntoSegment,
+      barStart,
+      beatIndex,
+      beatStart: barStart + beat.offset,
+      beatLength: beat.length,
+      beatPosition,
+      groupIndex: beat.group,
+      groupStart: barStart + group.offset,
+      groupLength: group.length,
+      weight: this.getWeightInBeat(beat, barOffset - beat.offset, segment),
+      compound: segment.compound,
+      segment
+    };
+  }
+
+  /**
+   * Metrical weight of a position within a beat
+   */
+  getWeightInBeat(beat, offsetInBeat, segment) {
+    const tolerance = segment.unitTicks / 16;
+    const nearGrid = grid => {
+      const remainder = offsetInBeat % grid;
+      return remainder < tolerance || grid - remainder < tolerance;
+    };
+
+    if (offsetInBeat < tolerance || beat.length - offsetInBeat < tolerance) return beat.weight;
+    if (!segment.compound && Math.abs(offsetInBeat - beat.length / 2) < tolerance) return HALF_BEAT_WEIGHT;
+    if (nearGrid(segment.compound ? segment.unitTicks : segment.unitTicks / 2)) return SUBDIVISION_WEIGHT;
+    return OFF_GRID_WEIGHT;
+  }
+
+  /**
+   * Metrical weight of a tick (1 = downbeat)
+   */
+  getWeight(tick) {
+    return this.getPosition(tick).weight;
+  }
+
+  /**
+   * Beat length in ticks at a tick (dotted for compound meters)
+   */
+  getBeatTicksAt(tick) {
+    return this.getPosition(tick).beatLength;
+  }
+
+  /**
+   * Number of beats per bar at a tick
+   */
+  getBeatsPerBar(tick) {
+    return this.getSegmentAt(tick).beats.length;
+  }
+
+  /**
+   * Time signature at a tick for display, e.g. "6/8"
+   */
+  getTimeSignatureLabel(tick) {
+    const segment = this.getSegmentAt(tick);
+    return `${segment.numerator}/${segment.denominator}`;
+  }
+
+  /**
+   * Start tick of a bar (numbered from 0, as in getPosition)
+   */
+  getBarTick(bar) {
+    let segment = this.segments[0];
+    this.segments.forEach(candidate => {
+      if (candidate.bar <= bar) segment = candidate;
+    });
+    return segment.tick + (bar - segment.bar) * segment.barTicks;
+  }
+
+  /**
+   * Bar start positions in ticks up to an end tick
+   */
+  getBarLines(endTick) {
+    const lines = [];
+
+    this.segments.forEach((segment, index) => {
+      const segmentEnd = index + 1 < this.segments.length ? this.segments[index + 1].tick : endTick;
+      for (let tick = segment.tick; tick < segmentEnd; tick += segment.barTicks) {
+        lines.push(tick);
+      }
+    });
+
+    return lines;
+  }
+}
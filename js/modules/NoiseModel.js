@@ -0,0 +1,129 @@
+/**
+ * Noise Model Module
+ * Correlated timing noise: slow wander from a selectable generator plus small independent jitter
+ */
+
+import { StylePresets } from './StylePresets.js';
+
+const GENERATORS = ['white', 'pink', 'ou', 'randomWalk'];
+const PINK_COMPONENTS = 4;   // Ornstein-Uhlenbeck components two octaves apart
+const WALK_LEAK = 8;         // Pull of the random walk back to zero, in correlation times
+const WALK_SMOOTHING = 0.25; // Smoothing time of the random walk, in correlation times
+const UNIFORM_STD = 1 / Math.sqrt(3); // Standard deviation of a uniform value in [-1, 1]
+
+export class NoiseModel {
+  /**
+   * Create a noise stream
+   * @param {Object} settings - { generator, amplitude, correlationTime, jitter }
+   * @param {Function} rng - Seeded random number generator (0-1), so the noise is reproducible
+   */
+  constructor(settings, rng) {
+    this.settings = settings;
+    this.rng = rng;
+    this.lastTime = null;
+    this.components = new Array(PINK_COMPONENTS).fill(0);
+    this.walk = 0;
+    this.smoothedWalk = 0;
+  }
+
+  /**
+   * Get the noise settings of a style (amplitudes relative to the style's timing variation,
+   * correlation times in seconds)
+   * @param {string|Object} style - Style id or preset (see StylePresets)
+   * @param {string} generator - 'auto' (style default), 'white', 'pink', 'ou' or 'randomWalk'
+   * @returns {Object} { generator, amplitude, correlationTime, jitter }
+   */
+  static getStyleSettings(style, generator = 'auto') {
+    const styleSettings = StylePresets.resolve(style).noise;
+    const selected = GENERATORS.includes(generator) ? generator : styleSettings.generator;
+
+    return {
+      generator: selected,
+      jitter: selected === 'white' ? 0 : styleSettings.jitter,
+      correlationTime: 1,
+      ...styleSettings[selected]
+    };
+  }
+
+  /**
+   * Draw the noise at a point in time
+   * Samples must come in time order; samples at the same time share the wander.
+   * @param {number} seconds - Time of the note in seconds
+   * @returns {Object} { wander, jitter } on the scale of a uniform value in [-1, 1]
+   */
+  sample(seconds) {
+    const { generator, amplitude, correlationTime, jitter } = this.settings;
+    const dt = this.lastTime === null ? Infinity : Math.max(0, seconds - this.lastTime);
+    this.lastTime = seconds;
+
+    let wander;
+    switch (generator) {
+      case 'pink':
+        wander = this.nextPink(dt, correlationTime);
+        break;
+      case 'ou':
+        this.components[0] = this.nextOrnsteinUhlenbeck(this.components[0], dt, correlationTime);
+        wander = this.components[0];
+        break;
+      case 'randomWalk':
+        wander = this.nextRandomWalk(dt, correlationTime);
+        break;
+      default:
+        return { wander: (this.rng() - 0.5) * 2 * amplitude, jitter: 0 };
+    }
+
+    return {
+      wander: wander * UNIFORM_STD * amplitude,
+      jitter: (this.rng() - 0.5) * 2 * jitter
+    };
+  }
+
+  /**
+   * Ornstein-Uhlenbeck step with unit variance (exact for any time step)
+   */
+  nextOrnsteinUhlenbeck(value, dt, correlationTime) {
+    const decay = Math.exp(-dt / correlationTime);
+    return value * decay + Math.sqrt(1 - decay * decay) * this.gaussian();
+  }
+
+  /**
+   * Approximate 1/f noise as a sum of Ornstein-Uhlenbeck processes with correlation times
+   * spread over two octaves each, from the correlation time down
+   */
+  nextPink(dt, correlationTime) {
+    let sum = 0;
+    this.components = this.components.map((value, index) => {
+      const next = this.nextOrnsteinUhlenbeck(value, dt, correlationTime / Math.pow(4, index));
+      sum += next;
+      return next;
+    });
+    return sum / Math.sqrt(PINK_COMPONENTS);
+  }
+
+  /**
+   * Random walk with a weak pull back to zero, smoothed so its direction changes gradually
+   */
+  nextRandomWalk(dt, correlationTime) {
+    const leakTime = correlationTime * WALK_LEAK;
+
+    if (dt === Infinity) {
+      // Start somewhere in the walk's range
+      this.walk = this.gaussian() * Math.sqrt(WALK_LEAK / 2);
+      this.smoothedWalk = this.walk;
+    } else {
+      this.walk = this.walk * Math.exp(-dt / leakTime) + this.gaussian() * Math.sqrt(dt / correlationTime);
+      this.smoothedWalk += (this.walk - this.smoothedWalk) * (1 - Math.exp(-dt / (correlationTime * WALK_SMOOTHING)));
+    }
+
+    return this.smoothedWalk / Math.sqrt(WALK_LEAK / 2);
+  }
+
+  /**
+   * Standard normal value (Box-Muller)
+   */
+  gaussian() {
+    const u = 1 - this.rng();
+    const v = this.rng();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Note Model Module
+ * Pairs note-on and note-off events into notes shared by all modules
+ */
+
+export class NoteModel {
+  /**
+   * Check whether an event starts a note
+   */
+  static isNoteOn(event) {
+    return event.type === 0x90 && event.velocity > 0;
+  }
+
+  /**
+   * Check whether an event ends a note (0x80, or 0x90 with velocity 0)
+   */
+  static isNoteOff(event) {
+    return event.type === 0x80 || (event.type === 0x90 && event.velocity === 0);
+  }
+
+  /**
+   * Extract notes from a track
+   * Note-on and note-off events are paired per channel and pitch. Overlapping notes
+   * of the same pitch are closed in FIFO order, and notes still sounding at the end
+   * of the track are closed at its last event.
+   * @param {Array} track - MIDI track events
+   * @param {number} trackIndex - Index of the track in the file
+   * @returns {Array} Notes sorted by start time, with references to their source events
+   */
+  static extractNotes(track, trackIndex = 0) {
+    const notes = [];
+    const openNotes = new Map(); // "channel:pitch" -> queue of sounding notes
+
+    track.forEach((event, index) => {
+      if (NoteModel.isNoteOn(event)) {
+        const note = {
+          startTime: event.time,
+          endTime: null,
+          duration: 0,
+          pitch: event.note,
+          velocity: event.velocity,
+          channel: event.channel || 0,
+          trackIndex: trackIndex,
+          noteOnIndex: index,
+          noteOffIndex: -1,
+          noteOnEvent: event,
+          noteOffEvent: null
+        };
+
+        const key = NoteModel.getKey(event);
+        if (!openNotes.has(key)) {
+          openNotes.set(key, []);
+        }
+        openNotes.get(key).push(note);
+        notes.push(note);
+      } else if (NoteModel.isNoteOff(event)) {
+        const queue = openNotes.get(NoteModel.getKey(event));
+
+        if (queue && queue.length > 0) {
+          const note = queue.shift();
+          note.endTime = event.time;
+          note.duration = event.time - note.startTime;
+          note.noteOffIndex = index;
+          note.noteOffEvent = event;
+        }
+      }
+    });
+
+    // Close notes that never received a note-off
+    const trackEnd = track.length > 0 ? track[track.length - 1].time : 0;
+    notes.forEach(note => {
+      if (note.endTime === null) {
+        note.endTime = Math.max(trackEnd, note.startTime);
+        note.duration = note.endTime - note.startTime;
+      }
+    });
+
+    return notes.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Extract notes from every track of a file
+   * @param {Object} midiData - Parsed MIDI data
+   * @returns {Array} Notes of all tracks sorted by start time
+   */
+  static extractAllNotes(midiData) {
+    const notes = [];
+
+    (midiData?.tracks || []).forEach((track, trackIndex) => {
+      notes.push(...NoteModel.extractNotes(track, trackIndex));
+    });
+
+    return notes.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Group notes whose onsets fall within a tolerance of each other
+   * @param {Array} notes - Notes sorted by start time
+   * @param {number} tolerance - Maximum onset distance in ticks within a group
+   * @returns {Array} Groups of simultaneous notes, each sorted from low to high pitch
+   */
+  static groupSimultaneous(notes, tolerance) {
+    const groups = [];
+    let current = [];
+
+    notes.forEach(note => {
+      if (current.length > 0 && note.startTime - current[0].startTime > tolerance) {
+        groups.push(current);
+        current = [];
+      }
+      current.push(note);
+    });
+
+    if (current.length > 0) {
+      groups.push(current);
+    }
+
+    return groups.map(group => group.sort((a, b) => a.pitch - b.pitch));
+  }
+
+  /**
+   * Find the top voice (skyline) of a set of notes
+   * @param {Array} notes - Notes sorted by start time
+   * @param {number} window - Onset distance in ticks within which notes count as simultaneous
+   * @returns {Array} Notes that are the highest of their simultaneity
+   */
+  static getSkyline(notes, window) {
+    return notes.filter(note => {
+      const simultaneousNotes = notes.filter(n =>
+        Math.abs(n.startTime - note.startTime) < window
+      );
+      return note.pitch === Math.max(...simultaneousNotes.map(n => n.pitch));
+    });
+  }
+
+  /**
+   * Key used to pair note events
+   */
+  static getKey(event) {
+    return `${event.channel || 0}:${event.note}`;
+  }
+}
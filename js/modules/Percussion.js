@@ -0,0 +1,163 @@
+/**
+ * Percussion Module
+ * Humanizes General MIDI drum parts the way a drummer plays them: a steady kick, hi-hats
+ * and ride that push or lay back, alternating cymbal strokes, a lighter ghost-snare layer
+ * and flams for doubled snare hits
+ */
+
+import { NoteModel } from './NoteModel.js';
+import { StylePresets } from './StylePresets.js';
+
+// General MIDI percussion key map (note number -> instrument group)
+const DRUM_GROUPS = {
+  35: 'kick', 36: 'kick',
+  37: 'snare', 38: 'snare', 39: 'snare', 40: 'snare',
+  42: 'hihat', 44: 'hihat', 46: 'hihat',
+  51: 'ride', 53: 'ride', 59: 'ride',
+  49: 'crash', 52: 'crash', 55: 'crash', 57: 'crash',
+  41: 'tom', 43: 'tom', 45: 'tom', 47: 'tom', 48: 'tom', 50: 'tom'
+};
+
+// Timing variation of each group relative to the style's amount
+const TIMING_SPREAD = {
+  kick: 0.5,   // The kick anchors the beat
+  snare: 0.8,
+  hihat: 1.0,
+  ride: 1.0,
+  crash: 0.8,
+  tom: 1.0,
+  other: 1.2
+};
+
+const CYMBAL_GROUPS = ['hihat', 'ride'];
+const SIMULTANEOUS_SECONDS = 0.01; // Snare hits closer than this are played as a flam
+
+export class Percussion {
+  /**
+   * Get drum settings for a style (timing amounts in seconds)
+   * @param {string|Object} style - Style id or preset (see StylePresets)
+   */
+  getStyleSettings(style) {
+    return StylePresets.resolve(style).drums;
+  }
+
+  /**
+   * Instrument group of a General MIDI drum note
+   * @returns {string} 'kick', 'snare', 'hihat', 'ride', 'crash', 'tom' or 'other'
+   */
+  static getGroup(pitch) {
+    return DRUM_GROUPS[pitch] || 'other';
+  }
+
+  /**
+   * Humanize the drum notes of a track
+   * Note-offs move with their note-ons, so drum hits keep their (mostly irrelevant) lengths.
+   * @param {Array} notes - Percussion notes from NoteModel.extractNotes for the original track
+   * @param {Array} events - Humanized copy of the track (same indices as the original)
+   * @param {Object} context - { style, timingIntensity, velocityIntensity, rng, tempoMap, meterMap }
+   * @returns {Object} { hits, ghostNotes, flams }
+   */
+  apply(notes, events, context) {
+    const { style, timingIntensity, velocityIntensity, rng, tempoMap, meterMap } = context;
+    const settings = this.getStyleSettings(style);
+    const velocities = new Map(notes.map(note => [note, note.velocity]));
+    const offsets = new Map(); // note -> timing offset in seconds
+
+    // Timing: every hit varies a little, the kick least; cymbals sit ahead of or behind it
+    notes.forEach(note => {
+      const group = Percussion.getGroup(note.pitch);
+      let offset = settings.timingVariation * TIMING_SPREAD[group] * (rng() - 0.5) * 2;
+      if (CYMBAL_GROUPS.includes(group)) {
+        offset += settings.cymbalOffset;
+      }
+      offsets.set(note, offset * timingIntensity);
+
+      const variation = settings.velocityVariation * (rng() - 0.5) * 2;
+      velocities.set(note, note.velocity + variation * velocityIntensity);
+    });
+
+    this.alternateCymbals(notes, velocities, settings, velocityIntensity, meterMap);
+    const ghostNotes = this.softenGhostNotes(notes, velocities, settings, velocityIntensity);
+    const flams = this.playFlams(notes, velocities, offsets, settings, timingIntensity, tempoMap);
+
+    notes.forEach(note => {
+      const noteOn = events[note.noteOnIndex];
+      const shift = tempoMap.secondsToTicksAt(note.startTime, offsets.get(note));
+
+      noteOn.time = Math.max(0, note.startTime + shift);
+      noteOn.velocity = Math.max(1, Math.min(127, velocities.get(note)));
+
+      if (note.noteOffIndex !== -1) {
+        events[note.noteOffIndex].time = Math.max(noteOn.time + 1, note.endTime + shift);
+      }
+    });
+
+    return { hits: notes.length, ghostNotes, flams };
+  }
+
+  /**
+   * Alternate strong and weak strokes on the hi-hat and ride
+   * Counting restarts on every beat group (every beat outside irregular meters), so the strong
+   * strokes fall on the beats.
+   */
+  alternateCymbals(notes, velocities, settings, intensity, meterMap) {
+    CYMBAL_GROUPS.forEach(group => {
+      let groupStart = null;
+      let stroke = 0;
+
+      notes.filter(note => Percussion.getGroup(note.pitch) === group).forEach(note => {
+        const position = meterMap.getPosition(note.startTime);
+        if (position.groupStart !== groupStart) {
+          groupStart = position.groupStart;
+          stroke = 0;
+        }
+
+        if (stroke % 2 === 1) {
+          velocities.set(note, velocities.get(note) * (1 - settings.cymbalAlternation * intensity));
+        }
+        stroke++;
+      });
+    });
+  }
+
+  /**
+   * Play the quiet snare hits as a lighter ghost-note layer under the backbeat
+   * @returns {number} Number of ghost notes
+   */
+  softenGhostNotes(notes, velocities, settings, intensity) {
+    const snares = notes.filter(note => Percussion.getGroup(note.pitch) === 'snare');
+    if (snares.length === 0) return 0;
+
+    const loudest = Math.max(...snares.map(note => note.velocity));
+    const ghosts = snares.filter(note => note.velocity < loudest * settings.ghostThreshold);
+    ghosts.forEach(note => {
+      velocities.set(note, velocities.get(note) * (1 - settings.ghostSoftening * intensity));
+    });
+
+    return ghosts.length;
+  }
+
+  /**
+   * Turn snare hits doubled at the same time into flams: the softer hit becomes a grace
+   * note just before the main stroke
+   * @returns {number} Number of flams
+   */
+  playFlams(notes, velocities, offsets, settings, intensity, tempoMap) {
+    const snares = notes.filter(note => Percussion.getGroup(note.pitch) === 'snare');
+    const window = tempoMap.secondsToTicksAt(0, SIMULTANEOUS_SECONDS);
+    let flams = 0;
+
+    NoteModel.groupSimultaneous(snares, window).forEach(group => {
+      if (group.length < 2) return;
+
+      const sorted = [...group].sort((a, b) => a.velocity - b.velocity);
+      const grace = sorted[0];
+      const main = sorted[sorted.length - 1];
+      offsets.set(grace, offsets.get(main) - settings.flamGap * intensity);
+      velocities.set(grace, Math.min(velocities.get(grace), velocities.get(main) * (1 - settings.flamSoftening * intensity)));
+      flams++;
+    });
+
+    return flams;
+  }
+}
@@ -0,0 +1,402 @@
+/**
+ * Performance Learner Module
+ * Aligns a quantized score with a recorded performance of it and learns how the performer
+ * deviates from the score in each musical context
+ */
+
+import { TempoMap } from './TempoMap.js';
+import { MeterMap } from './MeterMap.js';
+import { NoteModel } from './NoteModel.js';
+
+// Alignment costs
+const GAP_COST = 3;          // Score note not played, or performance note not in the score
+const POSITION_WEIGHT = 200; // Cost per unit of relative position (0-1 over the piece)
+const MIN_BAND = 50;         // Alignment band around the diagonal, in notes
+const MAX_BAND = 500;
+const BAND_RATIO = 0.1;
+
+const PERFORMED_CHORD_WINDOW = 0.05; // Seconds within which performed notes form one chord
+const LOCAL_TEMPO_NOTES = 8;         // Matched notes on each side used for the local tempo
+const MIN_SAMPLES = 5;               // Notes a context needs before it is used
+
+export class PerformanceLearner {
+  /**
+   * Learn a humanization profile from a score and a performance of it
+   * @param {Object} scoreData - Quantized score from MIDIParser.parseMIDI
+   * @param {Object} performanceData - Recorded performance from MIDIParser.parseMIDI
+   * @param {Object} options - { phrases } with the phrase boundaries of each score track
+   * @returns {Object} Profile with deviation statistics per context
+   */
+  learn(scoreData, performanceData, options = {}) {
+    const { phrases = [] } = options;
+    const scoreTempo = TempoMap.fromMIDIData(scoreData);
+    const performanceTempo = TempoMap.fromMIDIData(performanceData);
+    const meterMap = MeterMap.fromMIDIData(scoreData);
+    const window = Math.round(scoreData.ticksPerQuarter * 0.1); // About 50 ticks at 480 PPQ, as in the Humanizer
+
+    // Score notes with their context
+    const scoreNotes = [];
+    scoreData.tracks.forEach((track, trackIndex) => {
+      const notes = NoteModel.extractNotes(track, trackIndex);
+      const roles = this.getChordRoles(notes, window);
+
+      notes.forEach(note => {
+        scoreNotes.push({
+          note,
+          pitch: note.pitch,
+          seconds: scoreTempo.ticksToSeconds(note.startTime),
+          duration: scoreTempo.durationInSeconds(note.startTime, note.endTime),
+          context: this.getContext(note, { meterMap, phrases: phrases[trackIndex] || [], roles })
+        });
+      });
+    });
+    const orderedScore = this.orderNotes(scoreNotes);
+
+    const performanceNotes = this.orderNotes(
+      performanceData.tracks.flatMap((track, trackIndex) => NoteModel.extractNotes(track, trackIndex)).map(note => ({
+        note,
+        pitch: note.pitch,
+        velocity: note.velocity,
+        seconds: performanceTempo.ticksToSeconds(note.startTime),
+        duration: performanceTempo.durationInSeconds(note.startTime, note.endTime)
+      }))
+    );
+
+    if (scoreNotes.length === 0 || performanceNotes.length === 0) {
+      throw new Error('楽譜と演奏の両方にノートが必要です');
+    }
+
+    const pairs = this.align(orderedScore, performanceNotes);
+    if (pairs.length < MIN_SAMPLES) {
+      throw new Error('楽譜と演奏のノートを対応付けられませんでした');
+    }
+
+    const samples = this.measureDeviations(pairs);
+
+    return {
+      createdAt: new Date().toISOString(),
+      scoreNotes: scoreNotes.length,
+      performanceNotes: performanceNotes.length,
+      matchedNotes: pairs.length,
+      overall: this.summarize(samples),
+      features: this.summarizeByContext(samples)
+    };
+  }
+
+  /**
+   * Order score or performed notes for the alignment: by onset, and by pitch within a chord
+   * (chords are rarely played with all notes at once). Grace notes, released before the
+   * last note of the chord starts, keep their place in front of it.
+   */
+  orderNotes(notes) {
+    const byOnset = [...notes].sort((a, b) => a.seconds - b.seconds);
+    const ordered = [];
+    let chord = [];
+
+    const addChord = () => {
+      const lastOnset = chord[chord.length - 1].seconds;
+      const graceNotes = chord.filter(note => note.seconds + note.duration <= lastOnset);
+      const chordNotes = chord.filter(note => !graceNotes.includes(note));
+      ordered.push(...graceNotes, ...chordNotes.sort((a, b) => a.pitch - b.pitch));
+    };
+
+    byOnset.forEach(note => {
+      if (chord.length > 0 && note.seconds - chord[0].seconds > PERFORMED_CHORD_WINDOW) {
+        addChord();
+        chord = [];
+      }
+      chord.push(note);
+    });
+    if (chord.length > 0) addChord();
+
+    return ordered;
+  }
+
+  /**
+   * Align score notes with performed notes
+   * Dynamic time warping over the two note sequences, where only notes of the same pitch
+   * can match and extra or missing notes cost a gap. The search is limited to a band around
+   * the diagonal to keep long pieces in memory.
+   * @param {Array} score - Score notes in order, with pitch and seconds
+   * @param {Array} performance - Performed notes in order, with pitch and seconds
+   * @returns {Array} Matched pairs as { score, performance }
+   */
+  align(score, performance) {
+    const n = score.length;
+    const m = performance.length;
+    const band = Math.min(MAX_BAND, Math.max(MIN_BAND, Math.ceil(Math.max(n, m) * BAND_RATIO)));
+    const width = band * 2 + 1;
+    const cost = new Float32Array((n + 1) * width).fill(Infinity);
+    const steps = new Uint8Array((n + 1) * width); // 1 = match, 2 = score note missed, 3 = extra performed note
+
+    // Position over the piece, so performances at another tempo still line up
+    const relative = notes => {
+      const first = notes[0].seconds;
+      const length = Math.max(notes[notes.length - 1].seconds - first, 1e-6);
+      return notes.map(note => (note.seconds - first) / length);
+    };
+    const scorePosition = relative(score);
+    const performancePosition = relative(performance);
+
+    const centre = i => Math.round(i * m / n);
+    const cell = (i, j) => {
+      const offset = j - centre(i) + band;
+      return offset >= 0 && offset < width ? i * width + offset : -1;
+    };
+
+    cost[cell(0, 0)] = 0;
+
+    for (let i = 0; i <= n; i++) {
+      const jStart = Math.max(0, centre(i) - band);
+      const jEnd = Math.min(m, centre(i) + band);
+
+      for (let j = jStart; j <= jEnd; j++) {
+        if (i === 0 && j === 0) continue;
+        let best = Infinity;
+        let step = 0;
+
+        if (i > 0 && j > 0 && score[i - 1].pitch === performance[j - 1].pitch) {
+          const previous = cell(i - 1, j - 1);
+          const value = previous === -1 ? Infinity :
+            cost[previous] + POSITION_WEIGHT * Math.abs(scorePosition[i - 1] - performancePosition[j - 1]);
+          if (value < best) {
+            best = value;
+            step = 1;
+          }
+        }
+        if (i > 0) {
+          const previous = cell(i - 1, j);
+          if (previous !== -1 && cost[previous] + GAP_COST < best) {
+            best = cost[previous] + GAP_COST;
+            step = 2;
+          }
+        }
+        if (j > 0) {
+          const previous = cell(i, j - 1);
+          if (previous !== -1 && cost[previous] + GAP_COST < best) {
+            best = cost[previous] + GAP_COST;
+            step = 3;
+          }
+        }
+
+        const current = cell(i, j);
+        cost[current] = best;
+        steps[current] = step;
+      }
+    }
+
+    // Walk back from the end of both sequences
+    const pairs = [];
+    let i = n;
+    let j = m;
+    while (i > 0 || j > 0) {
+      const step = steps[cell(i, j)];
+      if (step === 1) {
+        pairs.push({ score: score[i - 1], performance: performance[j - 1] });
+        i--;
+        j--;
+      } else if (step === 2) {
+        i--;
+      } else if (step === 3) {
+        j--;
+      } else {
+        break;
+      }
+    }
+
+    return pairs.reverse();
+  }
+
+  /**
+   * Measure how each matched note deviates from the local tempo and dynamics
+   * The local tempo is a line fitted through the neighbouring matched notes, so rubato and
+   * tempo changes are not counted as timing deviation. Velocity deviations are taken from the
+   * written velocity, less the neighbours' average deviation, so neither the written dynamics
+   * nor a generally louder or softer passage are counted.
+   * @param {Array} pairs - Matched pairs from align
+   * @returns {Array} Samples as { context, timing, velocity, articulation }
+   */
+  measureDeviations(pairs) {
+    return pairs.map((pair, index) => {
+      const neighbours = pairs.slice(Math.max(0, index - LOCAL_TEMPO_NOTES), index + LOCAL_TEMPO_NOTES + 1);
+      const { intercept, slope } = this.fitLine(
+        neighbours.map(p => p.score.seconds),
+        neighbours.map(p => p.performance.seconds)
+      );
+
+      const expected = intercept + slope * pair.score.seconds;
+      const velocityDeviation = p => p.performance.velocity - p.score.note.velocity;
+      const localVelocity = neighbours.reduce((sum, p) => sum + velocityDeviation(p), 0) / neighbours.length;
+      const writtenDuration = pair.score.duration * slope;
+
+      return {
+        context: pair.score.context,
+        timing: pair.performance.seconds - expected,
+        velocity: velocityDeviation(pair) - localVelocity,
+        articulation: writtenDuration > 0 ?
+          Math.max(0.1, Math.min(3, pair.performance.duration / writtenDuration)) :
+          null
+      };
+    });
+  }
+
+  /**
+   * Least-squares line through points (slope 1 when the x values do not vary)
+   */
+  fitLine(xs, ys) {
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    let covariance = 0;
+    let variance = 0;
+
+    xs.forEach((x, index) => {
+      covariance += (x - meanX) * (ys[index] - meanY);
+      variance += (x - meanX) ** 2;
+    });
+
+    const slope = variance > 1e-9 ? covariance / variance : 1;
+    return { intercept: meanY - slope * meanX, slope };
+  }
+
+  /**
+   * Context of a score note
+   * @param {Object} note - Note from NoteModel.extractNotes
+   * @param {Object} context - { meterMap, phrases, roles }
+   * @returns {Object} { metrical, phrase, register, chordRole }
+   */
+  getContext(note, { meterMap, phrases = [], roles = new Map() }) {
+    const weight = meterMap.getWeight(note.startTime);
+    const metrical = weight >= 1 ? 'downbeat' : weight >= 0.6 ? 'strong' : weight >= 0.4 ? 'beat' : 'offbeat';
+
+    const phrase = phrases.find(p => note.startTime >= p.start && note.startTime <= p.end);
+    const position = phrase ? (note.startTime - phrase.start) / Math.max(1, phrase.end - phrase.start) : 0.5;
+    const phrasePosition = position < 0.2 ? 'start' : position > 0.8 ? 'end' : 'middle';
+
+    const register = note.pitch < 48 ? 'low' : note.pitch < 72 ? 'middle' : 'high';
+
+    return {
+      metrical,
+      phrase: phrasePosition,
+      register,
+      chordRole: roles.get(note) || 'single'
+    };
+  }
+
+  /**
+   * Role of each note in its simultaneity: melody (top), bass (bottom), inner or single
+   * @param {Array} notes - Notes of one track
+   * @param {number} window - Onset distance in ticks within which notes count as simultaneous
+   * @returns {Map} note -> role
+   */
+  getChordRoles(notes, window) {
+    const roles = new Map();
+
+    NoteModel.groupSimultaneous(notes, window).forEach(group => {
+      group.forEach((note, index) => {
+        if (group.length === 1) {
+          roles.set(note, 'single');
+        } else if (index === group.length - 1) {
+          roles.set(note, 'melody');
+        } else if (index === 0) {
+          roles.set(note, 'bass');
+        } else {
+          roles.set(note, 'inner');
+        }
+      });
+    });
+
+    return roles;
+  }
+
+  /**
+   * Statistics of a set of samples (timing in seconds, velocity in MIDI steps)
+   */
+  summarize(samples) {
+    const timings = samples.map(sample => sample.timing);
+    const velocities = samples.map(sample => sample.velocity);
+    const articulations = samples.map(sample => sample.articulation).filter(value => value !== null);
+
+    return {
+      count: samples.length,
+      timingMean: this.mean(timings),
+      timingSpread: this.standardDeviation(timings),
+      velocityMean: this.mean(velocities),
+      velocitySpread: this.standardDeviation(velocities),
+      articulation: articulations.length > 0 ? this.mean(articulations) : 1
+    };
+  }
+
+  /**
+   * Statistics for each value of each context feature
+   * @returns {Object} feature -> value -> statistics
+   */
+  summarizeByContext(samples) {
+    const features = {};
+
+    samples.forEach(sample => {
+      Object.entries(sample.context).forEach(([feature, value]) => {
+        features[feature] = features[feature] || {};
+        features[feature][value] = features[feature][value] || [];
+        features[feature][value].push(sample);
+      });
+    });
+
+    Object.values(features).forEach(values => {
+      Object.keys(values).forEach(value => {
+        values[value] = this.summarize(values[value]);
+      });
+    });
+
+    return features;
+  }
+
+  /**
+   * Expected deviation of a note in a context
+   * Each feature with enough samples shifts the overall averages; spreads are averaged over
+   * the features.
+   * @param {Object} profile - Profile from learn
+   * @param {Object} context - Context from getContext (an empty context gives the overall values)
+   * @returns {Object} { timingMean, timingSpread, velocityMean, velocitySpread, articulation }
+   */
+  predict(profile, context = {}) {
+    const overall = profile.overall;
+    const prediction = {
+      timingMean: overall.timingMean,
+      velocityMean: overall.velocityMean,
+      articulation: overall.articulation
+    };
+    const timingSpreads = [];
+    const velocitySpreads = [];
+
+    Object.entries(context).forEach(([feature, value]) => {
+      const stats = profile.features[feature]?.[value];
+      if (!stats || stats.count < MIN_SAMPLES) return;
+
+      prediction.timingMean += stats.timingMean - overall.timingMean;
+      prediction.velocityMean += stats.velocityMean - overall.velocityMean;
+      prediction.articulation *= stats.articulation / overall.articulation;
+      timingSpreads.push(stats.timingSpread);
+      velocitySpreads.push(stats.velocitySpread);
+    });
+
+    prediction.timingSpread = timingSpreads.length > 0 ? this.mean(timingSpreads) : overall.timingSpread;
+    prediction.velocitySpread = velocitySpreads.length > 0 ? this.mean(velocitySpreads) : overall.velocitySpread;
+    return prediction;
+  }
+
+  /**
+   * Average of a list of numbers (0 when empty)
+   */
+  mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+  }
+
+  /**
+   * Population standard deviation of a list of numbers
+   */
+  standardDeviation(values) {
+    if (values.length < 2) return 0;
+    const mean = this.mean(values);
+    return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+  }
+}
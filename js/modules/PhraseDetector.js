@@ -3,20 +3,49 @@
  * Advanced phrase detection and musical structure analysis
  */
 
+import { TempoMap } from './TempoMap.js';
+import { NoteModel } from './NoteModel.js';
+import { PerformanceLearner } from './PerformanceLearner.js';
+
 export class PhraseDetector {
   constructor() {
+    this.tempoMap = new TempoMap(); // Replaced per file in identifyPhraseBoundaries
+    this.performanceLearner = new PerformanceLearner();
     this.learnedPatterns = {
       phraseBoundaryFeatures: [],
       strongNuanceFeatures: [],
-      nuanceFeatures: []
+      nuanceFeatures: [],
+      performanceProfile: null // Learned by learnFromPerformance
     };
   }
 
+  /**
+   * Learn a humanization profile from a quantized score and a recorded performance of it
+   * The score's phrases give the phrase-position context of each note.
+   * @param {Object} scoreData - Parsed score MIDI data
+   * @param {Object} performanceData - Parsed performance MIDI data
+   * @returns {Object} Profile for the Humanizer's learnedProfile option
+   */
+  learnFromPerformance(scoreData, performanceData) {
+    const tempoMap = TempoMap.fromMIDIData(scoreData);
+    const phrases = scoreData.tracks.map(track => this.identifyPhraseBoundaries(track, true, 'auto', tempoMap));
+
+    const profile = this.performanceLearner.learn(scoreData, performanceData, { phrases });
+    this.learnedPatterns.performanceProfile = profile;
+    return profile;
+  }
+
   /**
    * Identify phrase boundaries in MIDI track
    * Enhanced with multiple detection strategies
+   * @param {Array} track - MIDI track events
+   * @param {boolean} isUserUpload - Whether the file was uploaded by the user
+   * @param {string} phraseDetectionMode - auto, musical, rest or harmonic
+   * @param {TempoMap|null} tempoMap - Tempo map of the file for durations in seconds
    */
-  identifyPhraseBoundaries(track, isUserUpload = false, phraseDetectionMode = 'auto') {
+  identifyPhraseBoundaries(track, isUserUpload = false, phraseDetectionMode = 'auto', tempoMap = null) {
+    this.tempoMap = tempoMap || new TempoMap();
+
     const notes = this.extractNotesFromTrack(track);
     const noteEvents = this.extractNoteEvents(track);
     
@@ -67,8 +96,6 @@ export class PhraseDetector {
     
     if (notes.length === 0) return [];
     
-    const totalDuration = Math.max(...notes.map(n => n.endTime)) - Math.min(...notes.map(n => n.startTime));
-    
     // Focus on melodic peaks and contour changes
     const melodicBoundaries = this.detectMelodicPeaksAndContourChanges(notes);
     
@@ -77,7 +104,7 @@ export class PhraseDetector {
     
     console.log('Musical structure phrase detection:', {
       totalNotes: notes.length,
-      totalDuration: (totalDuration / 1000).toFixed(1) + 's',
+      totalDuration: this.getNotesDurationSeconds(notes).toFixed(1) + 's',
       melodicBoundaries: melodicBoundaries.length,
       finalPhrases: phrases.length
     });
@@ -103,7 +130,7 @@ export class PhraseDetector {
     
     console.log('Rest-focused phrase detection:', {
       totalNotes: notes.length,
-      totalDuration: (totalDuration / 1000).toFixed(1) + 's',
+      totalDuration: this.getNotesDurationSeconds(notes).toFixed(1) + 's',
       restBoundaries: restBoundaries.length,
       finalPhrases: phrases.length
     });
@@ -119,8 +146,6 @@ export class PhraseDetector {
     
     if (notes.length === 0) return [];
     
-    const totalDuration = Math.max(...notes.map(n => n.endTime)) - Math.min(...notes.map(n => n.startTime));
-    
     // Focus on harmonic boundaries
     const harmonicBoundaries = this.detectHarmonicBoundaries(notes);
     
@@ -133,7 +158,7 @@ export class PhraseDetector {
     
     console.log('Harmony-focused phrase detection:', {
       totalNotes: notes.length,
-      totalDuration: (totalDuration / 1000).toFixed(1) + 's',
+      totalDuration: this.getNotesDurationSeconds(notes).toFixed(1) + 's',
       harmonicBoundaries: harmonicBoundaries.length,
       musicalBoundaries: musicalBoundaries.length,
       finalPhrases: phrases.length
@@ -179,45 +204,14 @@ export class PhraseDetector {
    * Extract notes from MIDI track
    */
   extractNotesFromTrack(track) {
-    const notes = [];
-    const noteOnEvents = {};
-    
-    track.forEach(event => {
-      if (event.type === 0x90 && event.velocity > 0) {
-        // Note on
-        noteOnEvents[event.note] = {
-          startTime: event.time,
-          velocity: event.velocity,
-          pitch: event.note
-        };
-      } else if ((event.type === 0x80) || (event.type === 0x90 && event.velocity === 0)) {
-        // Note off
-        if (noteOnEvents[event.note]) {
-          const noteOn = noteOnEvents[event.note];
-          notes.push({
-            startTime: noteOn.startTime,
-            endTime: event.time,
-            duration: event.time - noteOn.startTime,
-            pitch: event.note,
-            velocity: noteOn.velocity
-          });
-          delete noteOnEvents[event.note];
-        }
-      }
-    });
-    
-    return notes.sort((a, b) => a.startTime - b.startTime);
+    return NoteModel.extractNotes(track);
   }
 
   /**
    * Extract note events from MIDI track
    */
   extractNoteEvents(track) {
-    return track.filter(event => 
-      (event.type === 0x90 && event.velocity > 0) || 
-      (event.type === 0x80) || 
-      (event.type === 0x90 && event.velocity === 0)
-    );
+    return track.filter(event => NoteModel.isNoteOn(event) || NoteModel.isNoteOff(event));
   }
 
   /**
@@ -251,7 +245,7 @@ export class PhraseDetector {
     
     console.log('Reinforcement learning phrase detection:', {
       totalNotes: totalNotes,
-      totalDuration: (totalDuration / 1000).toFixed(1) + 's',
+      totalDuration: this.getNotesDurationSeconds(notes).toFixed(1) + 's',
       musicalBoundaries: musicalBoundaries.length,
       restBoundaries: restBoundaries.length,
       harmonicBoundaries: harmonicBoundaries.length,
@@ -338,7 +332,7 @@ export class PhraseDetector {
     if (notes.length < 6) return [];
     
     const boundaries = [];
-    const chordWindow = 480; // Analyze chords in windows
+    const chordWindow = this.tempoMap.ticksPerQuarter; // Analyze chords in one-beat windows
     const currentTime = Math.min(...notes.map(n => n.startTime));
     const endTime = Math.max(...notes.map(n => n.endTime));
     
@@ -466,12 +460,12 @@ export class PhraseDetector {
    */
   applyMinimalPhraseCleaning(phrases) {
     // Only merge extremely short phrases (less than 0.5 seconds)
-    const minPhraseDuration = 500; // 0.5 seconds in milliseconds
+    const minPhraseDuration = 0.5;
     const result = [];
     
     for (let i = 0; i < phrases.length; i++) {
       const phrase = phrases[i];
-      const phraseDuration = phrase.end - phrase.start;
+      const phraseDuration = this.tempoMap.durationInSeconds(phrase.start, phrase.end);
       
       if (phraseDuration < minPhraseDuration && result.length > 0) {
         // Merge with previous phrase
@@ -487,12 +481,23 @@ export class PhraseDetector {
       originalPhrases: phrases.length,
       afterCleaning: result.length,
       averageDuration: result.length > 0 ? 
-        (result.reduce((sum, p) => sum + (p.end - p.start), 0) / result.length / 1000).toFixed(1) + 's' : '0s'
+        (result.reduce((sum, p) => sum + this.tempoMap.durationInSeconds(p.start, p.end), 0) / result.length).toFixed(1) + 's' : '0s'
     });
     
     return result;
   }
 
+  /**
+   * Total duration of notes in seconds
+   */
+  getNotesDurationSeconds(notes) {
+    if (notes.length === 0) return 0;
+
+    const start = Math.min(...notes.map(n => n.startTime));
+    const end = Math.max(...notes.map(n => n.endTime));
+    return this.tempoMap.durationInSeconds(start, end);
+  }
+
   /**
    * Analyze training phrases (placeholder for existing functionality)
    */
@@ -514,7 +519,7 @@ export class PhraseDetector {
   /**
    * Analyze musical context around a boundary point
    */
-  analyzeBoundaryContext(boundaryTime, notes, windowSize = 960) {
+  analyzeBoundaryContext(boundaryTime, notes, windowSize = this.tempoMap.ticksPerQuarter * 2) {
     const beforeNotes = notes.filter(n => 
       n.startTime >= boundaryTime - windowSize && n.startTime < boundaryTime
     );
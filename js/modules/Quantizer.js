@@ -0,0 +1,163 @@
+/**
+ * Quantizer Module
+ * Pulls played-in timing towards a grid before humanizing, with strength, a capture window,
+ * independent note-end quantization and grid detection from onset histograms
+ */
+
+// Grid lengths in quarter notes
+const GRIDS = {
+  '1/4': 1,
+  '1/4T': 2 / 3,
+  '1/8': 1 / 2,
+  '1/8T': 1 / 3,
+  '1/16': 1 / 4,
+  '1/16T': 1 / 6,
+  '1/32': 1 / 8
+};
+
+const HISTOGRAM_BINS = 96;   // Histogram bins per quarter note, a multiple of every grid
+const TOLERANCE = 1 / 16;    // Of a quarter note, onset distance still counted as on the grid
+const COVERAGE_MARGIN = 0.05; // Coverage a coarser grid may lose against the best-fitting grid
+
+// Grid levels from coarse to fine, each with its straight and triplet grid
+const GRID_LEVELS = [['1/4', '1/4T'], ['1/8', '1/8T'], ['1/16', '1/16T'], ['1/32']];
+
+export class Quantizer {
+  /**
+   * Grid length in ticks
+   * @param {string} grid - Grid id ('1/4' to '1/32', triplets as '1/8T')
+   * @param {number} ticksPerQuarter - File resolution (PPQ)
+   */
+  static getGridTicks(grid, ticksPerQuarter) {
+    return (GRIDS[grid] || GRIDS['1/16']) * ticksPerQuarter;
+  }
+
+  /**
+   * Estimate the grid a part was written or played on
+   * Onsets are collected in a histogram of their positions in the bar. At each level the
+   * straight and triplet grids compete, and the coarsest level whose winner explains about
+   * as many onsets as the best-fitting grid is chosen.
+   * @param {Array} notes - Notes from NoteModel.extractNotes
+   * @param {MeterMap} meterMap - Meter map of the file
+   * @param {number} ticksPerQuarter - File resolution (PPQ)
+   * @returns {string} Grid id
+   */
+  estimateGrid(notes, meterMap, ticksPerQuarter) {
+    const histogram = this.buildHistogram(notes, meterMap, ticksPerQuarter);
+    const coverage = {};
+    Object.keys(GRIDS).forEach(grid => {
+      coverage[grid] = this.getCoverage(histogram, grid);
+    });
+    const best = Math.max(...Object.values(coverage));
+
+    for (const level of GRID_LEVELS) {
+      // Ties go to the straight grid
+      const grid = level.reduce((winner, candidate) => coverage[candidate] > coverage[winner] ? candidate : winner);
+      if (coverage[grid] >= best - COVERAGE_MARGIN) return grid;
+    }
+    return '1/32';
+  }
+
+  /**
+   * Histogram of onset positions in the bar
+   * @returns {Map} bin (HISTOGRAM_BINS per quarter note from the bar start) -> onset count
+   */
+  buildHistogram(notes, meterMap, ticksPerQuarter) {
+    const binTicks = ticksPerQuarter / HISTOGRAM_BINS;
+    const histogram = new Map();
+
+    notes.forEach(note => {
+      const position = meterMap.getPosition(note.startTime);
+      const bin = Math.round((note.startTime - position.barStart) / binTicks);
+      histogram.set(bin, (histogram.get(bin) || 0) + 1);
+    });
+
+    return histogram;
+  }
+
+  /**
+   * Share of the onsets in a histogram lying near a grid
+   * The tolerance shrinks for fine grids, so they do not explain any onset by default.
+   * @returns {number} 0-1
+   */
+  getCoverage(histogram, grid) {
+    const step = GRIDS[grid] * HISTOGRAM_BINS;
+    const tolerance = Math.min(step / 4, TOLERANCE * HISTOGRAM_BINS);
+    let total = 0;
+    let covered = 0;
+
+    histogram.forEach((count, bin) => {
+      const remainder = bin % step;
+      total += count;
+      if (Math.min(remainder, step - remainder) <= tolerance) {
+        covered += count;
+      }
+    });
+
+    return total > 0 ? covered / total : 0;
+  }
+
+  /**
+   * Nearest grid position to a tick; the grid restarts at every bar line
+   */
+  snap(tick, gridTicks, meterMap) {
+    const { barStart } = meterMap.getPosition(tick);
+    return barStart + Math.round((tick - barStart) / gridTicks) * gridTicks;
+  }
+
+  /**
+   * Quantize the notes of a track
+   * Onsets move towards the grid by the strength when they lie within the window. Note
+   * ends are quantized on their own when enabled; otherwise notes keep their length.
+   * @param {Array} notes - Notes from NoteModel.extractNotes
+   * @param {Array} events - Track events (same indices as the notes), modified in place
+   * @param {Object} options - { grid, strength (0-1), window (0-1 of half a grid step),
+   *   quantizeEnds, meterMap, ticksPerQuarter }
+   * @returns {Object} { moved } number of notes whose onset moved
+   */
+  apply(notes, events, options) {
+    const { grid, strength, window, quantizeEnds, meterMap, ticksPerQuarter } = options;
+    const gridTicks = Quantizer.getGridTicks(grid, ticksPerQuarter);
+    const capture = window * gridTicks / 2;
+    const pullTowards = (tick, target) => Math.abs(target - tick) <= capture ?
+      Math.round(tick + (target - tick) * strength) :
+      tick;
+
+    const placed = notes.map(note => {
+      const target = this.snap(note.startTime, gridTicks, meterMap);
+      const start = pullTowards(note.startTime, target);
+      let end = note.endTime + start - note.startTime;
+
+      if (quantizeEnds) {
+        let endTarget = this.snap(note.endTime, gridTicks, meterMap);
+        if (endTarget <= target) endTarget = target + gridTicks;
+        end = pullTowards(note.endTime, endTarget);
+      }
+      return { note, start, end: Math.max(start + 1, end) };
+    });
+
+    // A note must not run into the next note of the same key, or its note-off would end the
+    // next note. Ends meeting the next onset are fine when the note-off was written first
+    const lastByKey = new Map();
+    placed.forEach(current => {
+      const key = `${current.note.channel} ${current.note.pitch}`;
+      const previous = lastByKey.get(key);
+      if (previous && (previous.end > current.start ||
+          (previous.end === current.start && previous.note.endTime > current.note.startTime))) {
+        previous.end = Math.max(previous.start + 1, current.start - 1);
+      }
+      lastByKey.set(key, current);
+    });
+
+    let moved = 0;
+    placed.forEach(({ note, start, end }) => {
+      if (start !== note.startTime) moved++;
+      events[note.noteOnIndex].time = start;
+      if (note.noteOffIndex !== -1) {
+        events[note.noteOffIndex].time = end;
+      }
+    });
+
+    return { moved };
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Region Map Module
+ * Sections of a file chosen for humanization; everything outside them is locked as written.
+ * Humanization fades in and out at the edges of the locked sections.
+ */
+
+export class RegionMap {
+  /**
+   * @param {Array} regions - Regions as { start, end } in ticks, with optional settings
+   *   { style, intensity, timingVariation, velocityVariation }
+   * @param {number} blendTicks - Length of the fade at the edges of locked sections
+   * @param {number} endTick - Last tick of the file; regions reaching it are not faded out
+   */
+  constructor(regions = [], blendTicks = 0, endTick = Infinity) {
+    this.regions = regions
+      .filter(region => region.end > region.start)
+      .sort((a, b) => a.start - b.start);
+    this.blendTicks = Math.max(0, blendTicks);
+    this.endTick = endTick;
+  }
+
+  /**
+   * Build a region map from regions given in bars or ticks
+   * Bars are numbered from 1 and the end bar is included.
+   * @param {Array} regions - [{ startBar, endBar } or { start, end }, plus optional settings]
+   * @param {MeterMap} meterMap - Meter map of the file
+   * @param {number} blendTicks - Length of the fade at the edges of locked sections
+   * @param {number} endTick - Last tick of the file
+   * @returns {RegionMap} Region map in ticks
+   */
+  static fromRegions(regions, meterMap, blendTicks = 0, endTick = Infinity) {
+    const inTicks = regions.map(region => {
+      if (Number.isFinite(region.startBar) && Number.isFinite(region.endBar)) {
+        return {
+          ...region,
+          start: Math.max(0, meterMap.getBarTick(region.startBar - 1)),
+          end: meterMap.getBarTick(region.endBar)
+        };
+      }
+      return { ...region };
+    });
+
+    return new RegionMap(inTicks, blendTicks, endTick);
+  }
+
+  /**
+   * Index of the region holding a tick
+   * @returns {number} Region index, -1 in locked sections
+   */
+  getRegionIndex(tick) {
+    return this.regions.findIndex(region => tick >= region.start && tick < region.end);
+  }
+
+  /**
+   * How much of the humanization applies at a tick
+   * Ramps from 0 to 1 over the blend length after a locked section and back before the
+   * next one; edges between two regions or at the start and end of the file are not faded.
+   * @param {number} tick - Written position
+   * @returns {number} 0 (locked) to 1 (fully humanized)
+   */
+  getWeight(tick) {
+    const index = this.getRegionIndex(tick);
+    if (index === -1) return 0;
+
+    const region = this.regions[index];
+    const blend = Math.min(this.blendTicks, (region.end - region.start) / 2);
+    if (blend === 0) return 1;
+
+    let weight = 1;
+    if (region.start > 0 && this.getRegionIndex(region.start - 1) === -1) {
+      weight = Math.min(weight, (tick - region.start) / blend);
+    }
+    if (region.end < this.endTick && this.getRegionIndex(region.end) === -1) {
+      weight = Math.min(weight, (region.end - tick) / blend);
+    }
+    return Math.max(0, Math.min(1, weight));
+  }
+}
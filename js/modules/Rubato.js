@@ -0,0 +1,129 @@
+/**
+ * Rubato Module
+ * Shapes the tempo over each phrase and writes it as tempo events or into note positions
+ */
+
+import { TempoMap } from './TempoMap.js';
+import { StylePresets } from './StylePresets.js';
+
+const DEFAULT_PEAK_POSITION = 0.6;
+
+export class Rubato {
+  /**
+   * Get rubato settings for a style (tempo changes as ratios, scaled by intensity)
+   * @param {string|Object} style - Style id or preset (see StylePresets)
+   */
+  getStyleSettings(style) {
+    return StylePresets.resolve(style).rubato;
+  }
+
+  /**
+   * Tempo factor at a position within a phrase (above 1 = faster)
+   * @param {number} position - Position in the phrase (0-1)
+   * @param {number} peakPosition - Position of the phrase climax (0-1)
+   * @param {boolean} isFinal - Whether this is the last phrase of the piece
+   * @param {Object} settings - Rubato settings of the style
+   * @param {number} amount - Overall amount (intensity)
+   */
+  getTempoFactor(position, peakPosition, isFinal, settings, amount) {
+    let factor;
+
+    if (position <= peakPosition) {
+      // Ease into the climax
+      const t = position / peakPosition;
+      factor = 1 - settings.startRelax * (1 - t) + settings.climaxPush * Math.sin(t * Math.PI / 2);
+    } else {
+      // Relax towards the phrase ending
+      const t = (position - peakPosition) / (1 - peakPosition);
+      const relax = isFinal ? settings.finalRitardando : settings.phraseRelax;
+      factor = 1 + settings.climaxPush * (1 - t) - relax * t * t;
+    }
+
+    return 1 + (factor - 1) * amount;
+  }
+
+  /**
+   * Build the tempo map with rubato applied over each phrase
+   * Tempo is sampled every half beat inside phrases; original tempo changes are kept.
+   * @param {TempoMap} tempoMap - Tempo map of the file
+   * @param {Array} phrases - Phrase boundaries in ticks
+   * @param {Array} peaks - Dynamic peaks as { phraseIndex, position }
+   * @param {Object} context - { style, amount, beatTicks }
+   * @returns {TempoMap} Tempo map with rubato
+   */
+  buildTempoMap(tempoMap, phrases, peaks, context) {
+    const { style, amount, beatTicks } = context;
+    const settings = this.getStyleSettings(style);
+    const step = Math.max(1, Math.round(beatTicks / 2));
+    const breakpoints = new Set(tempoMap.getTempoChanges().map(change => change.tick));
+
+    phrases.forEach(phrase => {
+      for (let tick = phrase.start; tick < phrase.end; tick += step) {
+        breakpoints.add(Math.round(tick));
+      }
+      breakpoints.add(Math.round(phrase.end));
+    });
+
+    const factorAt = tick => {
+      const phraseIndex = phrases.findIndex(p => tick >= p.start && tick < p.end);
+      if (phraseIndex === -1) return 1;
+
+      const phrase = phrases[phraseIndex];
+      const position = (tick - phrase.start) / Math.max(1, phrase.end - phrase.start);
+      const peak = peaks.find(p => p.phraseIndex === phraseIndex);
+      const peakPosition = Math.max(0.2, Math.min(0.8, peak ? peak.position : DEFAULT_PEAK_POSITION));
+      return this.getTempoFactor(position, peakPosition, phraseIndex === phrases.length - 1, settings, amount);
+    };
+
+    const tempoEvents = [...breakpoints]
+      .sort((a, b) => a - b)
+      .map(tick => ({ time: tick, tempo: Math.round(tempoMap.getTempoAt(tick) / factorAt(tick)) }));
+
+    return new TempoMap(tempoMap.ticksPerQuarter, tempoEvents);
+  }
+
+  /**
+   * Replace the tempo events of a file with those of the rubato tempo map
+   * All tempo events are moved to the conductor track (the first track); notes stay on the grid.
+   * @param {Array} tracks - MIDI tracks, modified in place
+   * @param {TempoMap} rubatoMap - Tempo map with rubato
+   */
+  writeTempoEvents(tracks, rubatoMap) {
+    tracks.forEach((track, index) => {
+      tracks[index] = track.filter(event => !(event.status === 0xFF && event.metaType === 0x51));
+    });
+
+    let previousTempo = null;
+    rubatoMap.segments.forEach(segment => {
+      if (segment.tempo === previousTempo) return;
+      previousTempo = segment.tempo;
+
+      tracks[0].push({
+        time: segment.tick,
+        status: 0xFF,
+        metaType: 0x51,
+        data: TempoMap.encodeTempo(segment.tempo),
+        tempo: segment.tempo
+      });
+    });
+
+    tracks[0].sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Move channel events to where the rubato tempo map would place them in time
+   * The file's tempo events are left as they are.
+   * @param {Array} tracks - MIDI tracks, modified in place
+   * @param {TempoMap} tempoMap - Tempo map of the file
+   * @param {TempoMap} rubatoMap - Tempo map with rubato
+   */
+  applyToNotes(tracks, tempoMap, rubatoMap) {
+    tracks.forEach(track => {
+      track.forEach(event => {
+        if (event.type === undefined) return;
+        event.time = tempoMap.secondsToTicks(rubatoMap.ticksToSeconds(event.time));
+      });
+      track.sort((a, b) => a.time - b.time);
+    });
+  }
+}
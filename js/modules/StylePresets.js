@@ -0,0 +1,608 @@
+/**
+ * Style Presets Module
+ * Humanization styles as data: the built-in styles and a library of user presets that can be
+ * edited, imported and exported as JSON
+ */
+
+const STORAGE_KEY = 'midiHumanizer.stylePresets';
+const USER_PREFIX = 'user:';
+const DEFAULT_STYLE = 'classical';
+
+// Sections of a preset. User presets only need the values that differ from their base preset.
+const SECTIONS = [
+  'timing',       // Timing variation and strong-beat shift (ticks at 480 PPQ)
+  'velocity',     // Velocity variation, metrical accents and random accents
+  'phraseArc',    // Dynamic arc and timing over each phrase
+  'swing',        // Swing used when the swing mode is 'auto'
+  'noise',        // Timing noise generator (see NoiseModel)
+  'hands',        // Per-hand timing, drift and velocity (see HandSeparator)
+  'articulation', // Note lengths (see Articulation)
+  'roll',         // Chord rolls (see ChordRoll)
+  'voicing',      // Chord voicing (see Voicing)
+  'pedal',        // Sustain pedaling (see SustainPedal)
+  'rubato',       // Phrase tempo shaping (see Rubato)
+  'drums',        // GM percussion (see Percussion)
+  'harmony'       // Dynamics and timing following harmonic tension (see HarmonicAnalyzer)
+];
+
+// Values checked on import beyond their type. Other numbers must be finite and not negative
+const SIGNED_VALUES = [ // Offsets and velocity changes
+  'timing.strongBeatShift',
+  'hands.left.velocity',
+  'hands.right.velocity',
+  'articulation.legatoOverlap',
+  'voicing.bassBalance',
+  'drums.cymbalOffset'
+];
+const RATIO_VALUES = [ // Shares and chances (0-1)
+  'velocity.accentChance',
+  'phraseArc.irregularity',
+  'noise.jitter',
+  'articulation.staccatoRatio',
+  'roll.spreadChance',
+  'roll.timingJitter',
+  'voicing.innerSoftening',
+  'pedal.density',
+  'pedal.holdRatio',
+  'pedal.timingJitter',
+  'drums.cymbalAlternation',
+  'drums.ghostThreshold',
+  'drums.ghostSoftening',
+  'drums.flamSoftening'
+];
+const VALUE_RANGES = {
+  'swing.ratio': [50, 75],
+  'pedal.depth': [0, 127]
+};
+const CHOICES = {
+  'swing.subdivision': [null, '8th', '16th'],
+  'roll.direction': ['up', 'down']
+};
+
+const BUILT_IN_PRESETS = {
+  classical: {
+    name: 'Classical（クラシック）',
+    description: 'クラシック音楽スタイル',
+    effects: ['表現力豊かな演奏', '和声の響きを重視', 'レガート奏法', 'ダイナミクスの変化'],
+    characteristics: ['フレーズの自然な起伏', '和音の美しい響き', '歌うような表現'],
+    timing: {
+      variation: 15,      // Random timing range
+      strongBeatShift: 0  // Shift on strong beats (negative = early)
+    },
+    velocity: {
+      variation: 12,      // Random velocity range
+      metricAccent: 8,    // Velocity added on a downbeat
+      scale: 1.2,         // Factor on all velocity adjustments
+      accentChance: 0,    // Chance of a random (syncopated) accent
+      accentAmount: 0     // Velocity of a random accent
+    },
+    phraseArc: {
+      depth: 1.4,         // Factor on the phrase dynamics
+      irregularity: 0,    // Wave over the phrase dynamics (two periods per phrase)
+      startRelax: 10,     // Delay at the phrase opening
+      endRitardando: 15   // Delay at the phrase ending
+    },
+    swing: { subdivision: null, ratio: 50 }, // Ratio in percent of the pair
+    noise: {
+      generator: 'pink',
+      jitter: 0.35, // Independent note-to-note jitter
+      white: { amplitude: 1.0 },
+      pink: { amplitude: 0.9, correlationTime: 6 },
+      ou: { amplitude: 0.9, correlationTime: 2 },
+      randomWalk: { amplitude: 0.8, correlationTime: 4 }
+    },
+    hands: {
+      left: { timing: 0.6, drift: 0.5, velocity: -4 },  // Steady accompaniment
+      right: { timing: 1.0, drift: 1.0, velocity: 2 }   // Freer melody
+    },
+    articulation: {
+      legatoOverlap: 0.05,      // Seconds consecutive melody notes overlap (negative = detached)
+      staccatoRatio: 0.85,      // Length factor for staccato-like notes at full intensity
+      cadenceLengthening: 0.25, // Extra length for cadential notes
+      durationVariation: 0.04   // Random length variation
+    },
+    roll: {
+      direction: 'up',    // 'up' = bottom to top, 'down' = top to bottom
+      noteInterval: 0.03, // Seconds between rolled notes at 120 BPM and mezzo forte
+      spreadChance: 0.15, // Chance of spreading a large chord that fits the hand
+      timingJitter: 0.3   // Relative variation of the note intervals
+    },
+    voicing: {
+      leadVelocity: 8,      // Velocity added to the melody on top of a chord
+      leadTime: 0.015,      // Seconds the melody sounds before the rest of the chord
+      innerSoftening: 0.12, // Velocity reduction of inner voices (ratio)
+      bassBalance: 3        // Velocity change of the bass
+    },
+    pedal: {
+      density: 1.0,         // Share of harmonic changes that are pedaled
+      depth: [112, 127],    // CC64 value range when the pedal is down
+      liftDelay: 0.02,      // Pedal lifts this long after the new harmony sounds
+      repedalGap: 0.09,     // Time the pedal stays up before going down again
+      holdRatio: 1.0,       // Share of the harmony the pedal is held for
+      timingJitter: 0.4     // Relative variation of lift delay and re-pedal gap
+    },
+    rubato: {
+      startRelax: 0.02,     // Slightly broader phrase openings
+      climaxPush: 0.05,     // Acceleration into the phrase climax
+      phraseRelax: 0.08,    // Slowing at the end of each phrase
+      finalRitardando: 0.25 // Slowing at the end of the piece
+    },
+    drums: {
+      cymbalOffset: 0,         // Seconds the hi-hat and ride play behind (negative = ahead of) the kick
+      cymbalAlternation: 0.15, // Velocity drop of every second hi-hat or ride stroke in a beat (ratio)
+      ghostThreshold: 0.6,     // Snare hits below this share of the loudest snare are ghost notes
+      ghostSoftening: 0.3,     // Velocity reduction of ghost notes (ratio)
+      flamGap: 0.03,           // Seconds the grace note of a flam comes before the main stroke
+      flamSoftening: 0.45,     // Velocity reduction of the grace note (ratio)
+      timingVariation: 0.006,  // Seconds of random timing variation (the kick takes half)
+      velocityVariation: 6     // Random velocity range
+    },
+    harmony: {
+      tensionVelocity: 6,     // Velocity added on dominants and taken from tonic chords
+      resolutionSoftening: 5, // Velocity reduction on an authentic resolution
+      tensionTiming: 8,       // Delay of a dominant's arrival at full tension (ticks at 480 PPQ)
+      resolutionTiming: 6     // Delay of an authentic resolution
+    }
+  },
+  pop: {
+    name: 'Pop（ポップス）',
+    description: 'ポップスタイル',
+    effects: ['グルーヴ感重視', 'コード感の強化', '歌いやすい表現', 'リズムの安定性'],
+    characteristics: ['ビートの強調', 'メロディの親しみやすさ', 'コード進行の明確さ'],
+    timing: { variation: 8, strongBeatShift: -3 },
+    velocity: { variation: 6, metricAccent: 10, scale: 0.8, accentChance: 0, accentAmount: 0 },
+    phraseArc: { depth: 0.7, irregularity: 0, startRelax: 10, endRitardando: 15 },
+    swing: { subdivision: null, ratio: 50 },
+    noise: {
+      generator: 'ou',
+      jitter: 0.5,
+      white: { amplitude: 1.0 },
+      pink: { amplitude: 0.6, correlationTime: 3 },
+      ou: { amplitude: 0.6, correlationTime: 1 },
+      randomWalk: { amplitude: 0.5, correlationTime: 2 }
+    },
+    hands: {
+      left: { timing: 0.7, drift: 0.6, velocity: -2 },
+      right: { timing: 1.0, drift: 1.0, velocity: 1 }
+    },
+    articulation: { legatoOverlap: 0.02, staccatoRatio: 0.8, cadenceLengthening: 0.12, durationVariation: 0.05 },
+    roll: { direction: 'up', noteInterval: 0.02, spreadChance: 0.05, timingJitter: 0.2 },
+    voicing: { leadVelocity: 5, leadTime: 0.008, innerSoftening: 0.08, bassBalance: 5 },
+    pedal: { density: 0.85, depth: [96, 120], liftDelay: 0.015, repedalGap: 0.07, holdRatio: 0.9, timingJitter: 0.3 },
+    rubato: { startRelax: 0, climaxPush: 0.015, phraseRelax: 0.03, finalRitardando: 0.1 },
+    drums: { cymbalOffset: -0.004, cymbalAlternation: 0.15, ghostThreshold: 0.6, ghostSoftening: 0.3, flamGap: 0.02, flamSoftening: 0.4, timingVariation: 0.005, velocityVariation: 5 },
+    harmony: { tensionVelocity: 3, resolutionSoftening: 2, tensionTiming: 0, resolutionTiming: 0 }
+  },
+  jazz: {
+    name: 'Jazz（ジャズ）',
+    description: 'ジャズスタイル',
+    effects: ['スウィング感', 'シンコペーション強調', 'アーティキュレーション', '即興的表現'],
+    characteristics: ['スウィングリズム', 'コード変化の強調', 'アドリブ的なニュアンス'],
+    timing: { variation: 20, strongBeatShift: 0 },
+    velocity: { variation: 15, metricAccent: 5, scale: 1.0, accentChance: 0.3, accentAmount: 8 },
+    phraseArc: { depth: 0.8, irregularity: 0.3, startRelax: 10, endRitardando: 15 },
+    swing: { subdivision: '8th', ratio: 62 },
+    noise: {
+      generator: 'ou',
+      jitter: 0.5,
+      white: { amplitude: 1.0 },
+      pink: { amplitude: 0.8, correlationTime: 4 },
+      ou: { amplitude: 0.8, correlationTime: 1.5 },
+      randomWalk: { amplitude: 0.7, correlationTime: 3 }
+    },
+    hands: {
+      left: { timing: 0.8, drift: 0.7, velocity: -3 },
+      right: { timing: 1.2, drift: 1.1, velocity: 2 }
+    },
+    articulation: { legatoOverlap: -0.03, staccatoRatio: 0.65, cadenceLengthening: 0.1, durationVariation: 0.08 },
+    roll: { direction: 'down', noteInterval: 0.025, spreadChance: 0.1, timingJitter: 0.4 },
+    voicing: { leadVelocity: 6, leadTime: 0.01, innerSoftening: 0.15, bassBalance: -2 },
+    pedal: { density: 0.35, depth: [64, 96], liftDelay: 0.01, repedalGap: 0.05, holdRatio: 0.5, timingJitter: 0.5 },
+    rubato: { startRelax: 0.01, climaxPush: 0.02, phraseRelax: 0.04, finalRitardando: 0.12 },
+    drums: { cymbalOffset: 0.008, cymbalAlternation: 0.25, ghostThreshold: 0.6, ghostSoftening: 0.4, flamGap: 0.03, flamSoftening: 0.5, timingVariation: 0.01, velocityVariation: 10 },
+    harmony: { tensionVelocity: 4, resolutionSoftening: 2, tensionTiming: 4, resolutionTiming: 0 }
+  },
+  baroque: {
+    name: 'Baroque（バロック）',
+    description: 'バロック音楽スタイル',
+    effects: ['拍節の階層を重視', 'ノンレガート奏法', '控えめなペダル', '声部のバランス'],
+    characteristics: ['安定したテンポ', 'テラス状のダイナミクス', '対位法の明瞭さ'],
+    timing: { variation: 10, strongBeatShift: 0 },
+    velocity: { variation: 8, metricAccent: 10, scale: 1.0, accentChance: 0, accentAmount: 0 },
+    phraseArc: { depth: 0.8, irregularity: 0, startRelax: 6, endRitardando: 12 },
+    swing: { subdivision: null, ratio: 50 },
+    noise: {
+      generator: 'pink',
+      jitter: 0.35,
+      white: { amplitude: 1.0 },
+      pink: { amplitude: 0.7, correlationTime: 6 },
+      ou: { amplitude: 0.7, correlationTime: 2 },
+      randomWalk: { amplitude: 0.6, correlationTime: 4 }
+    },
+    hands: {
+      left: { timing: 0.7, drift: 0.6, velocity: -1 },
+      right: { timing: 1.0, drift: 1.0, velocity: 1 }
+    },
+    articulation: { legatoOverlap: -0.02, staccatoRatio: 0.75, cadenceLengthening: 0.3, durationVariation: 0.04 },
+    roll: { direction: 'up', noteInterval: 0.035, spreadChance: 0.25, timingJitter: 0.3 },
+    voicing: { leadVelocity: 4, leadTime: 0.005, innerSoftening: 0.05, bassBalance: 5 },
+    pedal: { density: 0.2, depth: [64, 100], liftDelay: 0.01, repedalGap: 0.06, holdRatio: 0.4, timingJitter: 0.3 },
+    rubato: { startRelax: 0.01, climaxPush: 0.01, phraseRelax: 0.05, finalRitardando: 0.3 },
+    drums: { cymbalOffset: 0, cymbalAlternation: 0.1, ghostThreshold: 0.6, ghostSoftening: 0.2, flamGap: 0.03, flamSoftening: 0.4, timingVariation: 0.005, velocityVariation: 5 },
+    harmony: { tensionVelocity: 4, resolutionSoftening: 4, tensionTiming: 4, resolutionTiming: 4 }
+  },
+  romantic: {
+    name: 'Romantic（ロマン派）',
+    description: 'ロマン派スタイル',
+    effects: ['大きなルバート', '深いダイナミクス', '豊かなペダリング', 'メロディの歌い込み'],
+    characteristics: ['大きく揺れるテンポ', '情熱的なクライマックス', '旋律を浮き立たせる和音'],
+    timing: { variation: 20, strongBeatShift: 0 },
+    velocity: { variation: 14, metricAccent: 6, scale: 1.35, accentChance: 0, accentAmount: 0 },
+    phraseArc: { depth: 1.8, irregularity: 0, startRelax: 14, endRitardando: 22 },
+    swing: { subdivision: null, ratio: 50 },
+    noise: {
+      generator: 'pink',
+      jitter: 0.3,
+      white: { amplitude: 1.0 },
+      pink: { amplitude: 1.0, correlationTime: 8 },
+      ou: { amplitude: 1.0, correlationTime: 3 },
+      randomWalk: { amplitude: 0.9, correlationTime: 5 }
+    },
+    hands: {
+      left: { timing: 0.6, drift: 0.5, velocity: -5 },
+      right: { timing: 1.1, drift: 1.2, velocity: 3 }
+    },
+    articulation: { legatoOverlap: 0.07, staccatoRatio: 0.85, cadenceLengthening: 0.35, durationVariation: 0.05 },
+    roll: { direction: 'up', noteInterval: 0.035, spreadChance: 0.3, timingJitter: 0.35 },
+    voicing: { leadVelocity: 10, leadTime: 0.02, innerSoftening: 0.15, bassBalance: 4 },
+    pedal: { density: 1.0, depth: [115, 127], liftDelay: 0.02, repedalGap: 0.1, holdRatio: 1.0, timingJitter: 0.4 },
+    rubato: { startRelax: 0.03, climaxPush: 0.08, phraseRelax: 0.12, finalRitardando: 0.35 },
+    drums: { cymbalOffset: 0, cymbalAlternation: 0.15, ghostThreshold: 0.6, ghostSoftening: 0.3, flamGap: 0.035, flamSoftening: 0.45, timingVariation: 0.01, velocityVariation: 9 },
+    harmony: { tensionVelocity: 10, resolutionSoftening: 8, tensionTiming: 14, resolutionTiming: 10 }
+  },
+  ballad: {
+    name: 'Ballad（バラード）',
+    description: 'バラードスタイル',
+    effects: ['ゆったりとしたタイミング', '柔らかいタッチ', '深いペダル', 'メロディの強調'],
+    characteristics: ['穏やかなフレーズの起伏', 'つながりの良い和音', '余韻を残す終止'],
+    timing: { variation: 12, strongBeatShift: 0 },
+    velocity: { variation: 8, metricAccent: 6, scale: 1.0, accentChance: 0, accentAmount: 0 },
+    phraseArc: { depth: 1.2, irregularity: 0, startRelax: 12, endRitardando: 18 },
+    swing: { subdivision: null, ratio: 50 },
+    noise: {
+      generator: 'ou',
+      jitter: 0.4,
+      white: { amplitude: 1.0 },
+      pink: { amplitude: 0.7, correlationTime: 5 },
+      ou: { amplitude: 0.7, correlationTime: 2 },
+      randomWalk: { amplitude: 0.6, correlationTime: 3 }
+    },
+    hands: {
+      left: { timing: 0.6, drift: 0.6, velocity: -4 },
+      right: { timing: 1.0, drift: 1.0, velocity: 2 }
+    },
+    articulation: { legatoOverlap: 0.06, staccatoRatio: 0.85, cadenceLengthening: 0.2, durationVariation: 0.04 },
+    roll: { direction: 'up', noteInterval: 0.03, spreadChance: 0.2, timingJitter: 0.3 },
+    voicing: { leadVelocity: 7, leadTime: 0.012, innerSoftening: 0.12, bassBalance: 2 },
+    pedal: { density: 1.0, depth: [118, 127], liftDelay: 0.025, repedalGap: 0.11, holdRatio: 1.0, timingJitter: 0.35 },
+    rubato: { startRelax: 0.02, climaxPush: 0.03, phraseRelax: 0.06, finalRitardando: 0.2 },
+    drums: { cymbalOffset: 0.005, cymbalAlternation: 0.15, ghostThreshold: 0.6, ghostSoftening: 0.35, flamGap: 0.025, flamSoftening: 0.45, timingVariation: 0.006, velocityVariation: 6 },
+    harmony: { tensionVelocity: 6, resolutionSoftening: 5, tensionTiming: 8, resolutionTiming: 8 }
+  },
+  ragtime: {
+    name: 'Ragtime（ラグタイム）',
+    description: 'ラグタイムスタイル',
+    effects: ['ストライドベース', 'シンコペーションの強調', '歯切れの良いタッチ', '安定したテンポ'],
+    characteristics: ['拍頭のはっきりした左手', '跳ねるような右手', '軽いペダル'],
+    timing: { variation: 8, strongBeatShift: 0 },
+    velocity: { variation: 8, metricAccent: 12, scale: 0.9, accentChance: 0.2, accentAmount: 6 },
+    phraseArc: { depth: 0.7, irregularity: 0, startRelax: 4, endRitardando: 8 },
+    swing: { subdivision: '16th', ratio: 54 },
+    noise: {
+      generator: 'ou',
+      jitter: 0.4,
+      white: { amplitude: 1.0 },
+      pink: { amplitude: 0.5, correlationTime: 3 },
+      ou: { amplitude: 0.5, correlationTime: 1 },
+      randomWalk: { amplitude: 0.4, correlationTime: 2 }
+    },
+    hands: {
+      left: { timing: 0.5, drift: 0.4, velocity: 2 },
+      right: { timing: 1.0, drift: 1.0, velocity: 0 }
+    },
+    articulation: { legatoOverlap: -0.02, staccatoRatio: 0.7, cadenceLengthening: 0.1, durationVariation: 0.05 },
+    roll: { direction: 'up', noteInterval: 0.015, spreadChance: 0.02, timingJitter: 0.2 },
+    voicing: { leadVelocity: 5, leadTime: 0.005, innerSoftening: 0.1, bassBalance: 6 },
+    pedal: { density: 0.4, depth: [80, 110], liftDelay: 0.01, repedalGap: 0.05, holdRatio: 0.5, timingJitter: 0.3 },
+    rubato: { startRelax: 0, climaxPush: 0.01, phraseRelax: 0.02, finalRitardando: 0.08 },
+    drums: { cymbalOffset: -0.002, cymbalAlternation: 0.2, ghostThreshold: 0.6, ghostSoftening: 0.3, flamGap: 0.02, flamSoftening: 0.4, timingVariation: 0.005, velocityVariation: 6 },
+    harmony: { tensionVelocity: 3, resolutionSoftening: 2, tensionTiming: 0, resolutionTiming: 0 }
+  },
+  bossaNova: {
+    name: 'Bossa Nova（ボサノヴァ）',
+    description: 'ボサノヴァスタイル',
+    effects: ['軽いシンコペーション', '抑えたダイナミクス', 'なめらかな16分のうねり', 'テンションの響き'],
+    characteristics: ['控えめなアクセント', '揺れの少ないテンポ', '柔らかな内声'],
+    timing: { variation: 10, strongBeatShift: 0 },
+    velocity: { variation: 6, metricAccent: 3, scale: 0.75, accentChance: 0.2, accentAmount: 5 },
+    phraseArc: { depth: 0.6, irregularity: 0.2, startRelax: 6, endRitardando: 10 },
+    swing: { subdivision: '16th', ratio: 53 },
+    noise: {
+      generator: 'ou',
+      jitter: 0.45,
+      white: { amplitude: 1.0 },
+      pink: { amplitude: 0.6, correlationTime: 3 },
+      ou: { amplitude: 0.6, correlationTime: 1.2 },
+      randomWalk: { amplitude: 0.5, correlationTime: 2 }
+    },
+    hands: {
+      left: { timing: 0.7, drift: 0.6, velocity: -3 },
+      right: { timing: 1.0, drift: 1.0, velocity: 0 }
+    },
+    articulation: { legatoOverlap: -0.01, staccatoRatio: 0.75, cadenceLengthening: 0.1, durationVariation: 0.06 },
+    roll: { direction: 'up', noteInterval: 0.02, spreadChance: 0.05, timingJitter: 0.25 },
+    voicing: { leadVelocity: 4, leadTime: 0.006, innerSoftening: 0.18, bassBalance: -1 },
+    pedal: { density: 0.3, depth: [60, 90], liftDelay: 0.01, repedalGap: 0.05, holdRatio: 0.4, timingJitter: 0.4 },
+    rubato: { startRelax: 0, climaxPush: 0.01, phraseRelax: 0.02, finalRitardando: 0.1 },
+    drums: { cymbalOffset: 0, cymbalAlternation: 0.2, ghostThreshold: 0.7, ghostSoftening: 0.4, flamGap: 0.02, flamSoftening: 0.5, timingVariation: 0.006, velocityVariation: 5 },
+    harmony: { tensionVelocity: 3, resolutionSoftening: 3, tensionTiming: 2, resolutionTiming: 2 }
+  },
+  lofi: {
+    name: 'Lo-fi（ローファイ）',
+    description: 'ローファイスタイル',
+    effects: ['後ろに遅れるビート', 'ゆるいスウィング', '大きなタイミングの揺れ', '平坦なダイナミクス'],
+    characteristics: ['レイドバックしたタイミング', '手弾き感の強いズレ', 'ぼやけた和音'],
+    timing: { variation: 24, strongBeatShift: 4 },
+    velocity: { variation: 10, metricAccent: 4, scale: 0.7, accentChance: 0, accentAmount: 0 },
+    phraseArc: { depth: 0.5, irregularity: 0, startRelax: 4, endRitardando: 8 },
+    swing: { subdivision: '16th', ratio: 58 },
+    noise: {
+      generator: 'randomWalk',
+      jitter: 0.6,
+      white: { amplitude: 1.0 },
+      pink: { amplitude: 1.0, correlationTime: 4 },
+      ou: { amplitude: 1.0, correlationTime: 2 },
+      randomWalk: { amplitude: 1.0, correlationTime: 3 }
+    },
+    hands: {
+      left: { timing: 1.0, drift: 1.0, velocity: -2 },
+      right: { timing: 1.2, drift: 1.0, velocity: 0 }
+    },
+    articulation: { legatoOverlap: -0.02, staccatoRatio: 0.7, cadenceLengthening: 0.05, durationVariation: 0.1 },
+    roll: { direction: 'up', noteInterval: 0.03, spreadChance: 0.3, timingJitter: 0.5 },
+    voicing: { leadVelocity: 3, leadTime: 0.005, innerSoftening: 0.2, bassBalance: 0 },
+    pedal: { density: 0.6, depth: [70, 100], liftDelay: 0.02, repedalGap: 0.08, holdRatio: 0.7, timingJitter: 0.5 },
+    rubato: { startRelax: 0, climaxPush: 0, phraseRelax: 0.02, finalRitardando: 0.1 },
+    drums: { cymbalOffset: 0.015, cymbalAlternation: 0.25, ghostThreshold: 0.6, ghostSoftening: 0.45, flamGap: 0.03, flamSoftening: 0.5, timingVariation: 0.015, velocityVariation: 8 },
+    harmony: { tensionVelocity: 2, resolutionSoftening: 2, tensionTiming: 4, resolutionTiming: 4 }
+  }
+};
+
+// Presets resolved from preset objects, so each object is merged over its base only once
+const resolvedPresets = new WeakMap();
+
+export class StylePresets {
+  /**
+   * Resolve a style to a complete preset
+   * @param {string|Object} style - Built-in style id, or a preset object whose values
+   *   override its base preset (classical when not given)
+   * @returns {Object} Preset with every section filled in
+   */
+  static resolve(style) {
+    if (!style || typeof style !== 'object') {
+      return BUILT_IN_PRESETS[style] || BUILT_IN_PRESETS[DEFAULT_STYLE];
+    }
+
+    if (!resolvedPresets.has(style)) {
+      const base = BUILT_IN_PRESETS[style.base] || BUILT_IN_PRESETS[DEFAULT_STYLE];
+      const resolved = StylePresets.merge(base, style);
+      resolvedPresets.set(style, resolved);
+      resolvedPresets.set(resolved, resolved);
+    }
+    return resolvedPresets.get(style);
+  }
+
+  /**
+   * Merge preset values over a base, object by object; arrays and other values are replaced
+   */
+  static merge(base, overrides) {
+    const merged = { ...base };
+    Object.entries(overrides).forEach(([key, value]) => {
+      const isObject = value && typeof value === 'object' && !Array.isArray(value);
+      merged[key] = isObject && base[key] && typeof base[key] === 'object' ?
+        StylePresets.merge(base[key], value) :
+        value;
+    });
+    return merged;
+  }
+
+  /**
+   * Check a preset read from JSON
+   * Every value is checked against the same value of the base preset: unknown keys, wrong
+   * types, numbers out of range and unknown choices (noise generator, roll direction) are errors.
+   * @throws {Error} When the preset has no name, an unknown base or an invalid value
+   */
+  static validate(preset) {
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+      throw new Error('プリセットはJSONオブジェクトで指定してください');
+    }
+    if (typeof preset.name !== 'string' || preset.name.trim() === '') {
+      throw new Error('プリセットに名前（name）がありません');
+    }
+    if (preset.base !== undefined && !BUILT_IN_PRESETS[preset.base]) {
+      throw new Error(`プリセット「${preset.name}」の base「${preset.base}」は組み込みスタイルではありません`);
+    }
+
+    const base = BUILT_IN_PRESETS[preset.base] || BUILT_IN_PRESETS[DEFAULT_STYLE];
+    SECTIONS.forEach(section => {
+      if (preset[section] !== undefined) {
+        StylePresets.validateValue(preset[section], base[section], section, preset.name);
+      }
+    });
+
+    // The generators are the noise settings of a preset (see NoiseModel)
+    const generator = preset.noise && preset.noise.generator;
+    const generators = Object.keys(base.noise).filter(key => typeof base.noise[key] === 'object');
+    if (generator !== undefined && !generators.includes(generator)) {
+      throw new Error(`プリセット「${preset.name}」の noise.generator は${generators.join('、')}のいずれかで指定してください`);
+    }
+  }
+
+  /**
+   * Check one preset value (recursing into objects) against the base preset's value
+   * @param {*} value - Value from the imported preset
+   * @param {*} reference - Value of the base preset at the same path
+   * @param {string} path - Dotted path, e.g. 'noise.pink.amplitude'
+   * @param {string} name - Preset name for the error message
+   * @throws {Error} When the value is invalid
+   */
+  static validateValue(value, reference, path, name) {
+    const fail = expected => {
+      throw new Error(`プリセット「${name}」の ${path} は${expected}で指定してください`);
+    };
+    const isObject = item => Boolean(item) && typeof item === 'object' && !Array.isArray(item);
+
+    if (reference === undefined) {
+      throw new Error(`プリセット「${name}」の ${path} は不明な項目です`);
+    }
+
+    if (CHOICES[path]) {
+      if (!CHOICES[path].includes(value)) fail(`${CHOICES[path].map(String).join('、')}のいずれか`);
+      return;
+    }
+    if (isObject(reference)) {
+      if (!isObject(value)) fail('オブジェクト');
+      Object.entries(value).forEach(([key, item]) => {
+        StylePresets.validateValue(item, reference[key], `${path}.${key}`, name);
+      });
+      return;
+    }
+
+    const [min, max] = VALUE_RANGES[path] ||
+      (SIGNED_VALUES.includes(path) ? [-Infinity, Infinity] : [0, RATIO_VALUES.includes(path) ? 1 : Infinity]);
+    const inRange = item => typeof item === 'number' && Number.isFinite(item) && item >= min && item <= max;
+    const range = max === Infinity ? (min === 0 ? '0以上の数値' : '数値') : `${min}〜${max}の数値`;
+
+    if (Array.isArray(reference)) {
+      // Ranges such as the pedal depth: [low, high]
+      if (!Array.isArray(value) || value.length !== 2 || !value.every(inRange) || value[0] > value[1]) {
+        fail(`[下限, 上限] の${range}`);
+      }
+      return;
+    }
+    if (typeof reference === 'number' && !inRange(value)) fail(range);
+    if (typeof reference === 'string' && typeof value !== 'string') fail('文字列');
+  }
+
+  /**
+   * Built-in styles and saved user presets for the style selector
+   * @returns {Array} [{ id, name, builtIn }]
+   */
+  list() {
+    const builtIn = Object.entries(BUILT_IN_PRESETS).map(([id, preset]) => ({ id, name: preset.name, builtIn: true }));
+    const user = Object.keys(this.loadLibrary()).sort().map(name => ({ id: USER_PREFIX + name, name, builtIn: false }));
+    return [...builtIn, ...user];
+  }
+
+  /**
+   * Get a style by id
+   * @param {string} id - Built-in style id or 'user:<name>'
+   * @returns {Object} Complete preset (classical when the id is unknown)
+   */
+  getPreset(id) {
+    if (typeof id === 'string' && id.startsWith(USER_PREFIX)) {
+      const preset = this.loadLibrary()[id.slice(USER_PREFIX.length)];
+      if (preset) return StylePresets.resolve(preset);
+    }
+    return StylePresets.resolve(id);
+  }
+
+  /**
+   * Check whether an id refers to a built-in style
+   */
+  isBuiltIn(id) {
+    return Object.prototype.hasOwnProperty.call(BUILT_IN_PRESETS, id);
+  }
+
+  /**
+   * Export a style as JSON
+   * Built-in styles are exported with their id as base, so an edited copy keeps any
+   * values it leaves out.
+   * @param {string} id - Style id
+   * @returns {string} Preset JSON
+   */
+  exportPreset(id) {
+    const preset = this.isBuiltIn(id) ?
+      { ...BUILT_IN_PRESETS[id], base: id } :
+      this.loadLibrary()[String(id).slice(USER_PREFIX.length)];
+
+    if (!preset) {
+      throw new Error('書き出すプリセットが見つかりません');
+    }
+    return JSON.stringify(preset, null, 2);
+  }
+
+  /**
+   * Save presets from JSON (one preset or an array of presets)
+   * Presets are saved by name, replacing a user preset of the same name.
+   * @param {string} json - Preset JSON
+   * @returns {Array} Ids of the saved presets
+   */
+  importPresets(json) {
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`JSONを読み取れません: ${error.message}`);
+    }
+
+    const presets = Array.isArray(parsed) ? parsed : [parsed];
+    presets.forEach(preset => StylePresets.validate(preset));
+
+    const library = this.loadLibrary();
+    presets.forEach(preset => {
+      const name = preset.name.trim();
+      library[name] = { ...preset, name };
+    });
+    this.storeLibrary(library);
+
+    return presets.map(preset => USER_PREFIX + preset.name.trim());
+  }
+
+  /**
+   * Delete a user preset
+   * @throws {Error} For built-in styles
+   */
+  deletePreset(id) {
+    if (typeof id !== 'string' || !id.startsWith(USER_PREFIX)) {
+      throw new Error('組み込みスタイルは削除できません');
+    }
+
+    const library = this.loadLibrary();
+    delete library[id.slice(USER_PREFIX.length)];
+    this.storeLibrary(library);
+  }
+
+  /**
+   * Load all saved user presets
+   * @returns {Object} name -> preset
+   */
+  loadLibrary() {
+    if (typeof localStorage === 'undefined') return {};
+
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (error) {
+      console.warn('Saved style presets could not be read:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Write the user preset library to local storage
+   */
+  storeLibrary(library) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(library));
+  }
+}
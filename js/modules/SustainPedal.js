@@ -0,0 +1,167 @@
+/**
+ * Sustain Pedal Module
+ * Generates sustain pedal (CC64) events that follow the harmonic changes of a piano part
+ */
+
+import { NoteModel } from './NoteModel.js';
+import { StylePresets } from './StylePresets.js';
+
+const SUSTAIN_CONTROLLER = 64;
+const PERCUSSION_CHANNEL = 9;
+
+export class SustainPedal {
+  /**
+   * Get pedal settings for a style (timing amounts in seconds)
+   * @param {string|Object} style - Style id or preset (see StylePresets)
+   */
+  getStyleSettings(style) {
+    return StylePresets.resolve(style).pedal;
+  }
+
+  /**
+   * Check whether an event is a sustain pedal change
+   */
+  static isSustainEvent(event) {
+    return event.type === 0xB0 && event.controller === SUSTAIN_CONTROLLER;
+  }
+
+  /**
+   * Find the piano channels that should be pedaled
+   * Percussion and channels set to a non-piano program are skipped.
+   * @param {Array} tracks - MIDI tracks
+   * @returns {Map} channel -> { trackIndex, hasPedal } with the first track holding its notes
+   */
+  findPedalChannels(tracks) {
+    const channels = new Map();
+    const programs = new Map();
+
+    tracks.forEach((track, trackIndex) => {
+      track.forEach(event => {
+        if (event.type === undefined) return;
+        const channel = event.channel || 0;
+
+        if (event.type === 0xC0 && !programs.has(channel)) {
+          programs.set(channel, event.program);
+        }
+
+        if (NoteModel.isNoteOn(event) && !channels.has(channel)) {
+          channels.set(channel, { trackIndex, hasPedal: false });
+        }
+      });
+    });
+
+    tracks.forEach(track => {
+      track.forEach(event => {
+        if (SustainPedal.isSustainEvent(event) && channels.has(event.channel || 0)) {
+          channels.get(event.channel || 0).hasPedal = true;
+        }
+      });
+    });
+
+    // General MIDI programs 0-7 are the piano family
+    channels.forEach((info, channel) => {
+      const program = programs.has(channel) ? programs.get(channel) : 0;
+      if (channel === PERCUSSION_CHANNEL || program > 7) {
+        channels.delete(channel);
+      }
+    });
+
+    return channels;
+  }
+
+  /**
+   * Generate pedal events for one channel
+   * The pedal lifts just after each new harmony sounds and goes down again after a short
+   * re-pedal gap, so the previous harmony is cleared without a dry break.
+   * @param {Array} chords - Chord windows from Humanizer.analyzeChordProgression (original ticks)
+   * @param {Array} notes - Humanized notes of the channel, sorted by start time
+   * @param {number} channel - MIDI channel
+   * @param {Object} context - { style, intensity, rng, tempoMap, beatTicks }
+   * @returns {Array} CC64 events sorted by time
+   */
+  generate(chords, notes, channel, context) {
+    const { style, intensity, rng, tempoMap, beatTicks } = context;
+    const settings = this.getStyleSettings(style);
+    const tolerance = beatTicks / 4;
+    const spans = this.findHarmonicSpans(chords);
+    const pedals = [];
+
+    spans.forEach(span => {
+      if (rng() >= settings.density) return;
+
+      const spanNotes = notes.filter(note =>
+        note.startTime >= span.start - tolerance && note.startTime < span.end - tolerance
+      );
+      if (spanNotes.length === 0) return;
+
+      const onset = spanNotes[0].startTime;
+      const jitter = () => 1 + settings.timingJitter * intensity * (rng() - 0.5) * 2;
+      const liftTicks = tempoMap.secondsToTicksAt(onset, settings.liftDelay * jitter());
+      const gapTicks = tempoMap.secondsToTicksAt(onset, settings.repedalGap * jitter());
+
+      // Lift the previous pedal as the new harmony sounds
+      const previous = pedals[pedals.length - 1];
+      if (previous && previous.up > onset + liftTicks) {
+        previous.up = onset + liftTicks;
+      }
+
+      const down = onset + liftTicks + gapTicks;
+      const soundingEnd = Math.min(span.end, Math.max(...spanNotes.map(note => note.endTime)));
+      const up = down + (soundingEnd - down) * settings.holdRatio;
+      if (up <= down) return;
+
+      const [minDepth, maxDepth] = settings.depth;
+      const centre = (minDepth + maxDepth) / 2;
+      const value = centre + (maxDepth - minDepth) / 2 * intensity * (rng() - 0.5) * 2;
+
+      pedals.push({ down, up, value });
+    });
+
+    const events = [];
+    pedals.forEach(pedal => {
+      if (pedal.up <= pedal.down) return;
+      events.push(this.createPedalEvent(pedal.down, channel, pedal.value));
+      events.push(this.createPedalEvent(pedal.up, channel, 0));
+    });
+
+    return events;
+  }
+
+  /**
+   * Merge consecutive chord windows with the same harmony into spans
+   * @param {Array} chords - Chord windows { time, duration, notes }
+   * @returns {Array} Spans as { start, end }
+   */
+  findHarmonicSpans(chords) {
+    const spans = [];
+    let previousKey = null;
+
+    chords.forEach(chord => {
+      const key = chord.notes.join(',');
+      const last = spans[spans.length - 1];
+
+      if (last && key === previousKey && last.end === chord.time) {
+        last.end = chord.time + chord.duration;
+      } else {
+        spans.push({ start: chord.time, end: chord.time + chord.duration });
+      }
+      previousKey = key;
+    });
+
+    return spans;
+  }
+
+  /**
+   * Create a sustain pedal control change event
+   */
+  createPedalEvent(time, channel, value) {
+    return {
+      time: Math.max(0, Math.round(time)),
+      status: 0xB0 | channel,
+      channel,
+      type: 0xB0,
+      controller: SUSTAIN_CONTROLLER,
+      value: Math.max(0, Math.min(127, Math.round(value)))
+    };
+  }
+}
@@ -0,0 +1,158 @@
+/**
+ * Swing Module
+ * Swings straight 8th or 16th notes with a continuous ratio, following the file's PPQ and meter
+ */
+
+import { StylePresets } from './StylePresets.js';
+
+// Swung pairs and the tempo range over which the swing flattens towards straight notes
+const SUBDIVISIONS = {
+  '8th': { pairQuarters: 1, flattenStartBPM: 140, flattenEndBPM: 320 },
+  '16th': { pairQuarters: 0.5, flattenStartBPM: 100, flattenEndBPM: 180 }
+};
+
+const MIN_RATIO = 50;
+const MAX_RATIO = 75;
+const GRID_TOLERANCE = 1 / 24; // Of a pair, for straight and triplet positions
+
+export class Swing {
+  /**
+   * Get the swing a style uses in 'auto' mode (ratio in percent of the pair)
+   * @param {string|Object} style - Style id or preset (see StylePresets)
+   */
+  getStyleSettings(style) {
+    return StylePresets.resolve(style).swing;
+  }
+
+  /**
+   * Resolve the swing to apply from the swing mode
+   * @param {string|Object} style - Style id or preset
+   * @param {string} mode - 'auto' (style default), 'off', '8th' or '16th'
+   * @param {number} ratio - Swing ratio in percent (50 = straight, 67 = triplet feel), unused in 'auto'
+   * @returns {Object|null} { subdivision, ratio } or null when nothing is swung
+   */
+  resolve(style, mode, ratio) {
+    const swing = mode === 'auto' ?
+      this.getStyleSettings(style) :
+      { subdivision: SUBDIVISIONS[mode] ? mode : null, ratio };
+
+    const clamped = Math.max(MIN_RATIO, Math.min(MAX_RATIO, swing.ratio));
+    if (!swing.subdivision || clamped <= MIN_RATIO) return null;
+
+    return { subdivision: swing.subdivision, ratio: clamped };
+  }
+
+  /**
+   * Swing ratio at a tempo as a fraction of the pair
+   * Swing flattens at fast tempos, where a long-short pair can no longer be played.
+   * @param {number} ratio - Swing ratio in percent
+   * @param {number} bpm - Tempo in quarter notes per minute
+   * @param {string} subdivision - '8th' or '16th'
+   * @returns {number} Fraction of the pair taken by the first note (0.5-0.75)
+   */
+  getEffectiveRatio(ratio, bpm, subdivision) {
+    const { flattenStartBPM, flattenEndBPM } = SUBDIVISIONS[subdivision];
+    const flatten = Math.max(0, Math.min(1, (bpm - flattenStartBPM) / (flattenEndBPM - flattenStartBPM)));
+    return (MIN_RATIO + (ratio - MIN_RATIO) * (1 - flatten)) / 100;
+  }
+
+  /**
+   * Find the swing pair a tick belongs to
+   * Pairs start on the beat groups of the meter (the beats in simple meters). Compound meters
+   * are already ternary and groups that do not divide into whole pairs (e.g. the 3 of 7/8)
+   * are not swung.
+   * @returns {number|null} Start tick of the pair
+   */
+  getPairStart(tick, meterMap, pairTicks) {
+    const position = meterMap.getPosition(tick);
+    if (position.compound) return null;
+
+    const pairs = position.groupLength / pairTicks;
+    if (pairs < 1 || Math.abs(pairs - Math.round(pairs)) > GRID_TOLERANCE) return null;
+
+    const pairIndex = Math.floor((tick - position.groupStart) / pairTicks);
+    return position.groupStart + pairIndex * pairTicks;
+  }
+
+  /**
+   * Find pairs already written as triplets
+   * A pair with an onset on its triplet grid but none on its straight grid keeps its timing,
+   * so triplets are not swung a second time.
+   * @param {Array} tracks - MIDI tracks
+   * @param {MeterMap} meterMap - Meter map of the file
+   * @param {number} pairTicks - Pair length in ticks
+   * @returns {Set} Start ticks of the triplet pairs
+   */
+  findTripletPairs(tracks, meterMap, pairTicks) {
+    const onsets = new Map(); // pair start -> positions in the pair (0-1)
+
+    tracks.forEach(track => {
+      track.forEach(event => {
+        if (event.type !== 0x90 || event.velocity === 0) return;
+
+        const pairStart = this.getPairStart(event.time, meterMap, pairTicks);
+        if (pairStart === null) return;
+
+        if (!onsets.has(pairStart)) {
+          onsets.set(pairStart, []);
+        }
+        onsets.get(pairStart).push((event.time - pairStart) / pairTicks);
+      });
+    });
+
+    const near = (position, target) => Math.abs(position - target) < GRID_TOLERANCE;
+    const triplets = new Set();
+
+    onsets.forEach((positions, pairStart) => {
+      const onTriplet = positions.some(p => near(p, 1 / 3) || near(p, 2 / 3));
+      const onStraight = positions.some(p => near(p, 1 / 4) || near(p, 1 / 2) || near(p, 3 / 4));
+      if (onTriplet && !onStraight) {
+        triplets.add(pairStart);
+      }
+    });
+
+    return triplets;
+  }
+
+  /**
+   * Move a tick within its pair: the first half of the pair is stretched to the swing ratio
+   * and the second half compressed, so pair boundaries stay in place
+   */
+  swingTick(tick, pairStart, pairTicks, ratio) {
+    const position = (tick - pairStart) / pairTicks;
+    const swung = position <= 0.5 ?
+      position * 2 * ratio :
+      ratio + (position - 0.5) * 2 * (1 - ratio);
+    return pairStart + swung * pairTicks;
+  }
+
+  /**
+   * Swing the channel events of all tracks
+   * Note-ons and note-offs move together, so swung notes keep their articulation.
+   * @param {Array} tracks - MIDI tracks, modified in place
+   * @param {Object} context - { subdivision, ratio, ticksPerQuarter, tempoMap, meterMap }
+   * @returns {Object} { swungPairs, tripletPairs }
+   */
+  apply(tracks, context) {
+    const { subdivision, ratio, ticksPerQuarter, tempoMap, meterMap } = context;
+    const pairTicks = ticksPerQuarter * SUBDIVISIONS[subdivision].pairQuarters;
+    const triplets = this.findTripletPairs(tracks, meterMap, pairTicks);
+    const swungPairs = new Set();
+
+    tracks.forEach(track => {
+      track.forEach(event => {
+        if (event.type === undefined) return;
+
+        const pairStart = this.getPairStart(event.time, meterMap, pairTicks);
+        if (pairStart === null || triplets.has(pairStart)) return;
+
+        const effectiveRatio = this.getEffectiveRatio(ratio, tempoMap.getBPMAt(pairStart), subdivision);
+        event.time = this.swingTick(event.time, pairStart, pairTicks, effectiveRatio);
+        swungPairs.add(pairStart);
+      });
+      track.sort((a, b) => a.time - b.time);
+    });
+
+    return { swungPairs: swungPairs.size, tripletPairs: triplets.size };
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * Tempo Map Module
+ * Converts between MIDI ticks and seconds using the tempo changes of a file
+ */
+
+const DEFAULT_TEMPO = 500000; // Microseconds per quarter note (120 BPM)
+
+export class TempoMap {
+  /**
+   * @param {number} ticksPerQuarter - File resolution (PPQ)
+   * @param {Array} tempoEvents - Tempo changes as { time, tempo } in ticks / microseconds per quarter
+   */
+  constructor(ticksPerQuarter = 480, tempoEvents = []) {
+    this.ticksPerQuarter = ticksPerQuarter || 480;
+    this.segments = this.buildSegments(tempoEvents);
+  }
+
+  /**
+   * Build a tempo map from parsed MIDI data
+   * Tempo meta events (0x51) are collected from all tracks
+   * @param {Object} midiData - Parsed MIDI data
+   * @returns {TempoMap} Tempo map for the file
+   */
+  static fromMIDIData(midiData) {
+    const tempoEvents = [];
+
+    (midiData?.tracks || []).forEach(track => {
+      track.forEach(event => {
+        if (event.status === 0xFF && event.metaType === 0x51) {
+          const tempo = event.tempo || TempoMap.decodeTempo(event.data);
+          if (tempo > 0) {
+            tempoEvents.push({ time: event.time, tempo });
+          }
+        }
+      });
+    });
+
+    return new TempoMap(midiData?.ticksPerQuarter, tempoEvents);
+  }
+
+  /**
+   * Decode tempo from meta event data bytes
+   * @param {Uint8Array|Array} data - Three tempo bytes
+   * @returns {number} Microseconds per quarter note, or 0 if invalid
+   */
+  static decodeTempo(data) {
+    if (!data || data.length < 3) return 0;
+    return (data[0] << 16) | (data[1] << 8) | data[2];
+  }
+
+  /**
+   * Encode tempo as meta event data bytes
+   * @param {number} tempo - Microseconds per quarter note
+   * @returns {Uint8Array} Three tempo bytes
+   */
+  static encodeTempo(tempo) {
+    const value = Math.max(1, Math.min(0xFFFFFF, Math.round(tempo)));
+    return new Uint8Array([(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF]);
+  }
+
+  /**
+   * Build tempo segments with precomputed start times in seconds
+   * @param {Array} tempoEvents - Tempo changes
+   * @returns {Array} Segments sorted by tick
+   */
+  buildSegments(tempoEvents) {
+    const sorted = [...tempoEvents].sort((a, b) => a.time - b.time);
+    const segments = [{ tick: 0, tempo: DEFAULT_TEMPO, seconds: 0 }];
+
+    sorted.forEach(({ time, tempo }) => {
+      const last = segments[segments.length - 1];
+
+      if (time === last.tick) {
+        // Later tempo events at the same tick win
+        last.tempo = tempo;
+        return;
+      }
+
+      const seconds = last.seconds + this.ticksToSecondsInSegment(time - last.tick, last.tempo);
+      segments.push({ tick: time, tempo, seconds });
+    });
+
+    return segments;
+  }
+
+  /**
+   * Convert a tick span to seconds at a constant tempo
+   */
+  ticksToSecondsInSegment(ticks, tempo) {
+    return (ticks * tempo) / (this.ticksPerQuarter * 1000000);
+  }
+
+  /**
+   * Find the segment index active at a tick
+   */
+  findSegmentIndex(tick) {
+    let low = 0;
+    let high = this.segments.length - 1;
+
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (this.segments[mid].tick <= tick) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Convert an absolute tick position to seconds
+   * @param {number} tick - Absolute tick position
+   * @returns {number} Time in seconds
+   */
+  ticksToSeconds(tick) {
+    const segment = this.segments[this.findSegmentIndex(tick)];
+    return segment.seconds + this.ticksToSecondsInSegment(tick - segment.tick, segment.tempo);
+  }
+
+  /**
+   * Convert an absolute time in seconds to ticks
+   * @param {number} seconds - Time in seconds
+   * @returns {number} Absolute tick position (fractional)
+   */
+  secondsToTicks(seconds) {
+    let index = 0;
+    while (index + 1 < this.segments.length && this.segments[index + 1].seconds <= seconds) {
+      index++;
+    }
+
+    const segment = this.segments[index];
+    return segment.tick + ((seconds - segment.seconds) * this.ticksPerQuarter * 1000000) / segment.tempo;
+  }
+
+  /**
+   * Duration in seconds between two tick positions
+   */
+  durationInSeconds(startTick, endTick) {
+    return this.ticksToSeconds(endTick) - this.ticksToSeconds(startTick);
+  }
+
+  /**
+   * Number of ticks covering a duration in seconds, starting at a tick
+   * @param {number} tick - Start position in ticks
+   * @param {number} seconds - Duration in seconds
+   * @returns {number} Duration in ticks
+   */
+  secondsToTicksAt(tick, seconds) {
+    return this.secondsToTicks(this.ticksToSeconds(tick) + seconds) - tick;
+  }
+
+  /**
+   * Tempo at a tick in microseconds per quarter note
+   */
+  getTempoAt(tick) {
+    return this.segments[this.findSegmentIndex(tick)].tempo;
+  }
+
+  /**
+   * Tempo at a tick in beats per minute
+   */
+  getBPMAt(tick) {
+    return 60000000 / this.getTempoAt(tick);
+  }
+
+  /**
+   * Get all tempo changes for display
+   * @returns {Array} Tempo changes as { tick, seconds, bpm }
+   */
+  getTempoChanges() {
+    return this.segments.map(segment => ({
+      tick: segment.tick,
+      seconds: segment.seconds,
+      bpm: 60000000 / segment.tempo
+    }));
+  }
+}
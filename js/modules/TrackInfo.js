@@ -0,0 +1,79 @@
+/**
+ * Track Info Module
+ * Describes the tracks of a MIDI file (name, channels, program, note count) for per-track settings
+ */
+
+import { NoteModel } from './NoteModel.js';
+
+const PERCUSSION_CHANNEL = 9; // Channel 10 in General MIDI
+
+// General MIDI program families, 8 programs each
+const PROGRAM_FAMILIES = [
+  'ピアノ', 'クロマチック・パーカッション', 'オルガン', 'ギター',
+  'ベース', 'ストリングス', 'アンサンブル', 'ブラス',
+  'リード', 'パイプ', 'シンセ・リード', 'シンセ・パッド',
+  'シンセ・エフェクト', 'エスニック', 'パーカッシブ', '効果音'
+];
+
+const TRACK_NAME = 0x03;
+
+export class TrackInfo {
+  /**
+   * Check whether a note or channel event is on the General MIDI percussion channel
+   */
+  static isPercussion(event) {
+    return (event.channel || 0) === PERCUSSION_CHANNEL;
+  }
+
+  /**
+   * Describe each track of a file
+   * @param {Object} midiData - Parsed MIDI data
+   * @returns {Array} [{ index, name, channels, program, programName, noteCount, isDrum }]
+   */
+  static describe(midiData) {
+    return midiData.tracks.map((track, index) => {
+      const nameEvent = track.find(event => event.status === 0xFF && event.metaType === TRACK_NAME);
+      const programEvent = track.find(event => event.type === 0xC0);
+      const notes = NoteModel.extractNotes(track, index);
+      const channels = [...new Set(notes.map(note => note.channel))].sort((a, b) => a - b);
+      const isDrum = channels.length > 0 && channels.every(channel => channel === PERCUSSION_CHANNEL);
+      const program = programEvent ? programEvent.program : null;
+
+      return {
+        index,
+        name: nameEvent ? TrackInfo.decodeText(nameEvent.data) : '',
+        channels,
+        program,
+        programName: TrackInfo.getProgramName(program, isDrum),
+        noteCount: notes.length,
+        isDrum
+      };
+    });
+  }
+
+  /**
+   * Display name of a program (1-based number and General MIDI family)
+   */
+  static getProgramName(program, isDrum = false) {
+    if (isDrum) return 'ドラム';
+    if (program === null) return '';
+    return `${program + 1} ${PROGRAM_FAMILIES[Math.floor(program / 8)]}`;
+  }
+
+  /**
+   * Decode the text of a meta event
+   * UTF-8 is tried first, then Shift_JIS (common in Japanese files), then Latin-1.
+   */
+  static decodeText(data) {
+    const bytes = Uint8Array.from(data || []);
+
+    for (const encoding of ['utf-8', 'shift_jis']) {
+      try {
+        return new TextDecoder(encoding, { fatal: true }).decode(bytes).trim();
+      } catch (error) {
+        // Not valid in this encoding, try the next one
+      }
+    }
+    return String.fromCharCode(...bytes).trim();
+  }
+}
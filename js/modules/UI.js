@@ -10,9 +10,19 @@ export class UI {
     this.onPlayOriginal = null;
     this.onPlayHumanized = null;
     this.onStopPlayback = null;
+    this.onCreateGrooveTemplate = null;
+    this.onDeleteGrooveTemplate = null;
+    this.onLearnProfile = null;
+    this.onStyleChange = null;
+    this.onSaveStylePreset = null;
+    this.onDeleteStylePreset = null;
+    this.onExportStylePreset = null;
+    this.onImportStylePresets = null;
+    this.onRegionsChange = null;
     this.originalMidiData = null;
     this.humanizedMidiData = null;
     this.isProcessing = false;
+    this.stylePresetList = [];
   }
 
   /**
@@ -84,6 +94,218 @@ export class UI {
         </select>
       </div>
       
+      <div class="field">
+        <label for="rubato">フレーズ・ルバート</label>
+        <select id="rubato" name="rubato">
+          <option value="off">なし</option>
+          <option value="tempo">テンポチェンジとして書き出す（ノートはグリッド上。範囲指定・アンカー・無効トラックがあればノート位置に反映）</option>
+          <option value="notes">ノート位置に反映する</option>
+        </select>
+      </div>
+      
+      <div class="field">
+        <label for="noiseModel">タイミングの揺らぎ方</label>
+        <select id="noiseModel" name="noiseModel">
+          <option value="auto">スタイルに合わせる</option>
+          <option value="white">ホワイトノイズ（ノートごとに独立）</option>
+          <option value="pink">ピンクノイズ（1/f）</option>
+          <option value="ou">オルンシュタイン＝ウーレンベック過程</option>
+          <option value="randomWalk">平滑化ランダムウォーク</option>
+        </select>
+      </div>
+      
+      <div class="field">
+        <label for="swing">スウィング</label>
+        <select id="swing" name="swing">
+          <option value="auto">スタイルに合わせる</option>
+          <option value="off">なし</option>
+          <option value="8th">8分音符</option>
+          <option value="16th">16分音符</option>
+        </select>
+      </div>
+      
+      <div class="field">
+        <label for="swingRatio">スウィング率 (%): <span id="swingRatioValue">62</span></label>
+        <input type="range" id="swingRatio" name="swingRatio" min="50" max="75" step="1" value="62" />
+      </div>
+      
+      <div class="field">
+        <label for="quantize">ヒューマナイズ前のクオンタイズ</label>
+        <select id="quantize" name="quantize">
+          <option value="off">なし</option>
+          <option value="auto">グリッドを自動検出</option>
+          <option value="1/4">4分音符</option>
+          <option value="1/8">8分音符</option>
+          <option value="1/16">16分音符</option>
+          <option value="1/32">32分音符</option>
+          <option value="1/4T">4分3連符</option>
+          <option value="1/8T">8分3連符</option>
+          <option value="1/16T">16分3連符</option>
+        </select>
+      </div>
+      
+      <div class="field">
+        <label for="quantizeStrength">クオンタイズ強度: <span id="quantizeStrengthValue">1.0</span></label>
+        <input type="range" id="quantizeStrength" name="quantizeStrength" min="0" max="1" step="0.05" value="1.0" />
+      </div>
+      
+      <div class="field">
+        <label for="quantizeWindow">クオンタイズ範囲（グリッドの半分に対する割合）: <span id="quantizeWindowValue">1.0</span></label>
+        <input type="range" id="quantizeWindow" name="quantizeWindow" min="0.1" max="1" step="0.05" value="1.0" />
+      </div>
+      
+      <div class="field checkbox-field">
+        <label>
+          <input type="checkbox" id="quantizeEnds" name="quantizeEnds" />
+          ノートの終わりも個別にクオンタイズ（オフの場合は音の長さを保つ）
+        </label>
+      </div>
+      
+      <div class="field">
+        <label for="anchors">アンカー（タイミングのずれを戻して同期を保つ位置）</label>
+        <select id="anchors" name="anchors">
+          <option value="off">なし</option>
+          <option value="downbeats">すべての小節頭</option>
+          <option value="bars">N小節ごとの小節頭</option>
+          <option value="markers">マーカー・キューポイント</option>
+        </select>
+      </div>
+      
+      <div class="field">
+        <label for="anchorEveryBars">アンカーの間隔（小節）</label>
+        <input type="number" id="anchorEveryBars" name="anchorEveryBars" min="1" step="1" value="4" />
+      </div>
+      
+      <div class="field">
+        <label for="anchorPositions">追加のアンカー位置（小節番号、tickは末尾に t を付ける。カンマ区切り）</label>
+        <input type="text" id="anchorPositions" name="anchorPositions" placeholder="例: 17, 33, 15360t" />
+      </div>
+      
+      <div class="field track-settings">
+        <label>トラックごとの設定</label>
+        <p id="trackSettingsEmpty" class="learn-info">MIDIファイルを読み込むとトラックが表示されます</p>
+        <div class="track-table-wrapper">
+          <table id="trackSettingsTable" class="track-table hidden">
+            <thead>
+              <tr>
+                <th>有効</th>
+                <th>トラック</th>
+                <th>ch</th>
+                <th>音色</th>
+                <th>ノート数</th>
+                <th>スタイル</th>
+                <th>強度</th>
+                <th>タイミング</th>
+                <th>ベロシティ</th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+      </div>
+      
+      <div class="field region-settings">
+        <label>ヒューマナイズする区間</label>
+        <p class="learn-info">区間を指定すると、区間外は書かれたとおりに固定されます（空の場合は曲全体）。ビジュアライザー上をドラッグしても追加できます。</p>
+        <div class="track-table-wrapper">
+          <table id="regionTable" class="track-table hidden">
+            <thead>
+              <tr>
+                <th>名前</th>
+                <th>開始小節</th>
+                <th>終了小節</th>
+                <th>スタイル</th>
+                <th>強度</th>
+                <th>タイミング</th>
+                <th>ベロシティ</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+        <button type="button" id="addRegion" class="secondary-button">区間を追加</button>
+      </div>
+      
+      <div class="field">
+        <label for="regionBlend">区間の境界でなじませる長さ (拍): <span id="regionBlendValue">1</span></label>
+        <input type="range" id="regionBlend" name="regionBlend" min="0" max="4" step="0.5" value="1" />
+      </div>
+      
+      <div class="field checkbox-field">
+        <label>
+          <input type="checkbox" id="excludeDrums" name="excludeDrums" checked />
+          ドラム（チャンネル10）をメロディ・和音の処理から除外
+        </label>
+      </div>
+      
+      <div class="field checkbox-field">
+        <label>
+          <input type="checkbox" id="percussion" name="percussion" checked />
+          除外したドラムをドラマーの奏法でヒューマナイズ（ハイハットの強弱、ゴーストノート、フラム）
+        </label>
+      </div>
+      
+      <div class="field style-preset-editor">
+        <label for="stylePresetJson">スタイルプリセット（選択中のジャンルをJSONで編集）</label>
+        <textarea id="stylePresetJson" class="style-preset-json" rows="12" spellcheck="false"></textarea>
+        <div class="style-preset-actions">
+          <button type="button" id="saveStylePreset" class="secondary-button">プリセットとして保存</button>
+          <button type="button" id="deleteStylePreset" class="secondary-button">選択中のプリセットを削除</button>
+          <button type="button" id="exportStylePreset" class="secondary-button">JSONを書き出す</button>
+        </div>
+        <label for="stylePresetFile" class="file-caption">JSONファイルから読み込む</label>
+        <input type="file" id="stylePresetFile" accept=".json,application/json" />
+      </div>
+      
+      <div class="field">
+        <label for="grooveTemplate">グルーヴテンプレート</label>
+        <select id="grooveTemplate" name="grooveTemplate">
+          <option value="">使用しない（スタイルのルールを使用）</option>
+        </select>
+      </div>
+      
+      <div class="field">
+        <label for="grooveStrength">グルーヴ適用度: <span id="grooveStrengthValue">1.0</span></label>
+        <input type="range" id="grooveStrength" name="grooveStrength" min="0" max="1" step="0.05" value="1.0" />
+      </div>
+      
+      <div class="field groove-create">
+        <label for="grooveReference">リファレンスMIDIからテンプレートを作成</label>
+        <input type="file" id="grooveReference" accept=".mid,.midi" />
+        <div class="groove-create-row">
+          <input type="text" id="grooveName" placeholder="テンプレート名" />
+          <select id="grooveBars">
+            <option value="1">1小節</option>
+            <option value="2">2小節</option>
+            <option value="4">4小節</option>
+          </select>
+        </div>
+        <div class="groove-actions">
+          <button type="button" id="createGroove" class="secondary-button">テンプレートを保存</button>
+          <button type="button" id="deleteGroove" class="secondary-button">選択中のテンプレートを削除</button>
+        </div>
+      </div>
+      
+      <div class="field learn-profile">
+        <label>演奏から学習（楽譜と演奏のMIDIペア）</label>
+        <label for="learnScore" class="file-caption">楽譜MIDI（クオンタイズ済み）</label>
+        <input type="file" id="learnScore" accept=".mid,.midi" />
+        <label for="learnPerformance" class="file-caption">演奏MIDI</label>
+        <input type="file" id="learnPerformance" accept=".mid,.midi" />
+        <div class="learn-actions">
+          <button type="button" id="learnProfile" class="secondary-button">学習する</button>
+        </div>
+        <p id="learnedProfileInfo" class="learn-info">学習済みプロファイルはありません</p>
+      </div>
+      
+      <div class="field checkbox-field">
+        <label>
+          <input type="checkbox" id="useLearnedProfile" name="useLearnedProfile" disabled />
+          学習したプロファイルでタイミングとベロシティを揺らす
+        </label>
+      </div>
+      
       <div class="field">
         <label for="velocityVariation">ベロシティ変化強度: <span id="velocityVariationValue">1.0</span></label>
         <input type="range" id="velocityVariation" name="velocityVariation" min="0" max="2" step="0.1" value="1.0" />
@@ -98,6 +320,34 @@ export class UI {
         <label for="dynamicRange">ダイナミクス範囲: <span id="dynamicRangeValue">1.0</span></label>
         <input type="range" id="dynamicRange" name="dynamicRange" min="0.5" max="2" step="0.1" value="1.0" />
       </div>
+      
+      <div class="field checkbox-field">
+        <label>
+          <input type="checkbox" id="chordRoll" name="chordRoll" checked />
+          手の届かない和音をアルペジオで弾く
+        </label>
+      </div>
+      
+      <div class="field checkbox-field">
+        <label>
+          <input type="checkbox" id="rollFinalCadence" name="rollFinalCadence" />
+          最後の終止和音を常にアルペジオで弾く
+        </label>
+      </div>
+      
+      <div class="field checkbox-field">
+        <label>
+          <input type="checkbox" id="sustainPedal" name="sustainPedal" checked />
+          サステインペダルを自動生成
+        </label>
+      </div>
+      
+      <div class="field checkbox-field">
+        <label>
+          <input type="checkbox" id="keepExistingPedal" name="keepExistingPedal" checked />
+          ファイル内の既存ペダルを保持
+        </label>
+      </div>
     `;
 
     // Insert advanced settings after seed field
@@ -119,6 +369,414 @@ export class UI {
 
     // Setup advanced setting sliders
     this.setupAdvancedSliders();
+    this.setupSwingControls();
+    this.setupGrooveTemplateControls();
+    this.setupLearningControls();
+    this.setupStylePresetControls();
+    this.setupRegionControls();
+  }
+
+  /**
+   * Setup the style preset editor: the selected style is shown as JSON, which can be saved
+   * as a user preset, exported or replaced by an imported file
+   */
+  setupStylePresetControls() {
+    const styleSelect = document.getElementById('style');
+    const editor = document.getElementById('stylePresetJson');
+    if (!styleSelect || !editor) return;
+
+    styleSelect.addEventListener('change', () => {
+      if (this.onStyleChange) {
+        this.onStyleChange(styleSelect.value);
+      }
+    });
+
+    document.getElementById('saveStylePreset').addEventListener('click', () => {
+      if (this.onSaveStylePreset) {
+        this.onSaveStylePreset(editor.value);
+      }
+    });
+
+    document.getElementById('deleteStylePreset').addEventListener('click', () => {
+      if (this.onDeleteStylePreset) {
+        this.onDeleteStylePreset(styleSelect.value);
+      }
+    });
+
+    document.getElementById('exportStylePreset').addEventListener('click', () => {
+      if (this.onExportStylePreset) {
+        this.onExportStylePreset(styleSelect.value);
+      }
+    });
+
+    const fileInput = document.getElementById('stylePresetFile');
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      if (file && this.onImportStylePresets) {
+        this.onImportStylePresets(file);
+      }
+      fileInput.value = '';
+    });
+  }
+
+  /**
+   * Fill the style selector with the built-in styles and the user presets
+   * @param {Array} presets - [{ id, name, builtIn }] from StylePresets.list
+   * @param {string} selected - Style to select (keeps the current selection when not given)
+   */
+  setStylePresets(presets, selected = null) {
+    const select = document.getElementById('style');
+    if (!select) return;
+
+    const current = selected || select.value;
+    select.innerHTML = '';
+
+    [
+      { label: '組み込みスタイル', presets: presets.filter(preset => preset.builtIn) },
+      { label: 'ユーザープリセット', presets: presets.filter(preset => !preset.builtIn) }
+    ].forEach(({ label, presets: group }) => {
+      if (group.length === 0) return;
+
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = label;
+      group.forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.name;
+        optgroup.appendChild(option);
+      });
+      select.appendChild(optgroup);
+    });
+
+    select.value = presets.some(preset => preset.id === current) ? current : 'classical';
+
+    // Keep the per-track and per-region style choices in step with the library
+    this.stylePresetList = presets;
+    document.querySelectorAll('#trackSettingsTable .track-style, #regionTable .region-style').forEach(trackSelect => {
+      const trackStyle = trackSelect.value;
+      trackSelect.innerHTML = this.getTrackStyleOptions();
+      trackSelect.value = presets.some(preset => preset.id === trackStyle) ? trackStyle : '';
+    });
+  }
+
+  /**
+   * Show the track table
+   * Each track can be switched off or given its own style, intensity and timing/velocity
+   * multipliers; empty fields follow the global settings.
+   * @param {Array} tracks - Track descriptions from TrackInfo.describe
+   */
+  setTracks(tracks) {
+    const table = document.getElementById('trackSettingsTable');
+    const empty = document.getElementById('trackSettingsEmpty');
+    if (!table) return;
+
+    const rows = tracks.filter(track => track.noteCount > 0).map(track => `
+      <tr data-track="${track.index}"${track.isDrum ? ' class="drum-track"' : ''}>
+        <td><input type="checkbox" class="track-enabled" checked /></td>
+        <td>${this.escapeHTML(track.name || `トラック ${track.index + 1}`)}</td>
+        <td>${track.channels.map(channel => channel + 1).join(', ')}</td>
+        <td>${this.escapeHTML(track.programName)}</td>
+        <td>${track.noteCount}</td>
+        <td><select class="track-style">${this.getTrackStyleOptions()}</select></td>
+        <td><input type="number" class="track-intensity" min="0" max="1" step="0.05" placeholder="全体" /></td>
+        <td><input type="number" class="track-timing" min="0" max="2" step="0.1" value="1.0" /></td>
+        <td><input type="number" class="track-velocity" min="0" max="2" step="0.1" value="1.0" /></td>
+      </tr>
+    `).join('');
+
+    table.querySelector('tbody').innerHTML = rows;
+    table.classList.toggle('hidden', rows === '');
+    if (empty) {
+      empty.classList.toggle('hidden', rows !== '');
+    }
+  }
+
+  /**
+   * Style options of the track table ('' follows the global style)
+   */
+  getTrackStyleOptions() {
+    return '<option value="">全体の設定</option>' + this.stylePresetList
+      .map(preset => `<option value="${this.escapeHTML(preset.id)}">${this.escapeHTML(preset.name)}</option>`)
+      .join('');
+  }
+
+  /**
+   * Read the track table
+   * @returns {Array} Settings by track index (tracks without notes are left empty)
+   */
+  getTrackSettings() {
+    const settings = [];
+    document.querySelectorAll('#trackSettingsTable tbody tr').forEach(row => {
+      const getNumber = (selector, fallback) => {
+        const value = parseFloat(row.querySelector(selector).value);
+        return Number.isFinite(value) ? value : fallback;
+      };
+
+      settings[parseInt(row.dataset.track)] = {
+        enabled: row.querySelector('.track-enabled').checked,
+        style: row.querySelector('.track-style').value || null,
+        intensity: getNumber('.track-intensity', null),
+        timingVariation: getNumber('.track-timing', 1.0),
+        velocityVariation: getNumber('.track-velocity', 1.0)
+      };
+    });
+    return settings;
+  }
+
+  /**
+   * Setup the region table: rows are added with the button or by dragging in the visualizer
+   */
+  setupRegionControls() {
+    const table = document.getElementById('regionTable');
+    const addButton = document.getElementById('addRegion');
+    if (!table || !addButton) return;
+
+    addButton.addEventListener('click', () => {
+      const rows = table.querySelectorAll('tbody tr');
+      const lastEnd = rows.length > 0 ? parseInt(rows[rows.length - 1].querySelector('.region-end').value) : 0;
+      const startBar = Number.isFinite(lastEnd) ? lastEnd + 1 : 1;
+      this.addRegion({ startBar, endBar: startBar + 7 });
+    });
+
+    table.addEventListener('click', (e) => {
+      if (!e.target.classList.contains('region-delete')) return;
+      e.target.closest('tr').remove();
+      this.notifyRegionsChange();
+    });
+    table.addEventListener('change', () => this.notifyRegionsChange());
+  }
+
+  /**
+   * Add a row to the region table
+   * @param {Object} region - { name, startBar, endBar } with bars numbered from 1
+   */
+  addRegion(region) {
+    const table = document.getElementById('regionTable');
+    if (!table) return;
+
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td><input type="text" class="region-name" value="${this.escapeHTML(region.name || '')}" placeholder="サビなど" /></td>
+      <td><input type="number" class="region-start" min="1" step="1" value="${region.startBar}" /></td>
+      <td><input type="number" class="region-end" min="1" step="1" value="${region.endBar}" /></td>
+      <td><select class="region-style">${this.getTrackStyleOptions()}</select></td>
+      <td><input type="number" class="region-intensity" min="0" max="1" step="0.05" placeholder="全体" /></td>
+      <td><input type="number" class="region-timing" min="0" max="2" step="0.1" value="1.0" /></td>
+      <td><input type="number" class="region-velocity" min="0" max="2" step="0.1" value="1.0" /></td>
+      <td><button type="button" class="secondary-button region-delete">削除</button></td>
+    `;
+
+    table.querySelector('tbody').appendChild(row);
+    table.classList.remove('hidden');
+    this.notifyRegionsChange();
+  }
+
+  /**
+   * Read the region table
+   * Rows whose end bar comes before the start bar are skipped.
+   * @returns {Array} [{ name, startBar, endBar, style, intensity, timingVariation, velocityVariation }]
+   */
+  getRegions() {
+    const regions = [];
+    document.querySelectorAll('#regionTable tbody tr').forEach(row => {
+      const getNumber = (selector, fallback) => {
+        const value = parseFloat(row.querySelector(selector).value);
+        return Number.isFinite(value) ? value : fallback;
+      };
+      const startBar = getNumber('.region-start', null);
+      const endBar = getNumber('.region-end', null);
+      if (startBar === null || endBar === null || endBar < startBar) return;
+
+      regions.push({
+        name: row.querySelector('.region-name').value.trim(),
+        startBar,
+        endBar,
+        style: row.querySelector('.region-style').value || null,
+        intensity: getNumber('.region-intensity', null),
+        timingVariation: getNumber('.region-timing', 1.0),
+        velocityVariation: getNumber('.region-velocity', 1.0)
+      });
+    });
+    return regions;
+  }
+
+  /**
+   * Pass the current regions to onRegionsChange
+   */
+  notifyRegionsChange() {
+    const table = document.getElementById('regionTable');
+    if (table) {
+      table.classList.toggle('hidden', table.querySelector('tbody tr') === null);
+    }
+    if (this.onRegionsChange) {
+      this.onRegionsChange(this.getRegions());
+    }
+  }
+
+  /**
+   * Parse the extra anchor positions: bar numbers, or ticks when followed by "t"
+   * Entries that are not numbers are ignored.
+   * @param {string} text - Comma-separated positions, e.g. "17, 33, 15360t"
+   * @returns {Array} [{ bar }] or [{ tick }]
+   */
+  parseAnchorPositions(text) {
+    return text.split(/[,、\s]+/)
+      .map(entry => entry.trim().toLowerCase())
+      .filter(entry => /^\d+t?$/.test(entry))
+      .map(entry => entry.endsWith('t') ?
+        { tick: parseInt(entry) } :
+        { bar: parseInt(entry) });
+  }
+
+  /**
+   * Escape text for use in HTML
+   */
+  escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+  }
+
+  /**
+   * Id of the selected style
+   */
+  getSelectedStyle() {
+    const select = document.getElementById('style');
+    return select ? select.value : 'classical';
+  }
+
+  /**
+   * Show a preset's JSON in the editor
+   */
+  setStylePresetEditor(json) {
+    const editor = document.getElementById('stylePresetJson');
+    if (editor) {
+      editor.value = json;
+    }
+  }
+
+  /**
+   * Save text as a file
+   */
+  downloadText(filename, text, type = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Setup learning from a score/performance pair
+   */
+  setupLearningControls() {
+    const learnBtn = document.getElementById('learnProfile');
+    if (!learnBtn) return;
+
+    learnBtn.addEventListener('click', () => {
+      const scoreFile = document.getElementById('learnScore').files[0];
+      const performanceFile = document.getElementById('learnPerformance').files[0];
+      if (!scoreFile || !performanceFile) {
+        this.showStatus('楽譜MIDIと演奏MIDIの両方を選択してください。', 'error');
+        return;
+      }
+
+      if (this.onLearnProfile) {
+        this.onLearnProfile(scoreFile, performanceFile);
+      }
+    });
+  }
+
+  /**
+   * Show a learned profile and enable its use
+   * @param {Object} profile - Profile from PerformanceLearner.learn
+   */
+  setLearnedProfile(profile) {
+    const info = document.getElementById('learnedProfileInfo');
+    const useCheckbox = document.getElementById('useLearnedProfile');
+
+    if (info) {
+      const timing = Math.round(profile.overall.timingSpread * 1000);
+      const velocity = profile.overall.velocitySpread.toFixed(1);
+      info.textContent = `学習済み: ${profile.matchedNotes}/${profile.scoreNotes}ノート対応、` +
+        `タイミングのばらつき ±${timing}ms、ベロシティのばらつき ±${velocity}`;
+    }
+    if (useCheckbox) {
+      useCheckbox.disabled = false;
+      useCheckbox.checked = true;
+    }
+  }
+
+  /**
+   * Setup the swing controls
+   * The ratio slider only applies to a chosen subdivision; 'auto' swings with the style's
+   * own ratio, so the slider is greyed out there and with swing off.
+   */
+  setupSwingControls() {
+    const modeSelect = document.getElementById('swing');
+    const ratioSlider = document.getElementById('swingRatio');
+    if (!modeSelect || !ratioSlider) return;
+
+    const updateRatio = () => {
+      ratioSlider.disabled = modeSelect.value === 'auto' || modeSelect.value === 'off';
+      ratioSlider.closest('.field').classList.toggle('disabled', ratioSlider.disabled);
+    };
+    modeSelect.addEventListener('change', updateRatio);
+    updateRatio();
+  }
+
+  /**
+   * Setup groove template creation and deletion
+   */
+  setupGrooveTemplateControls() {
+    const createBtn = document.getElementById('createGroove');
+    const deleteBtn = document.getElementById('deleteGroove');
+
+    if (createBtn) {
+      createBtn.addEventListener('click', () => {
+        const file = document.getElementById('grooveReference').files[0];
+        if (!file) {
+          this.showStatus('リファレンスMIDIファイルを選択してください。', 'error');
+          return;
+        }
+
+        const name = document.getElementById('grooveName').value.trim() || file.name.replace(/\.midi?$/i, '');
+        const bars = parseInt(document.getElementById('grooveBars').value) || 1;
+
+        if (this.onCreateGrooveTemplate) {
+          this.onCreateGrooveTemplate(file, name, bars);
+        }
+      });
+    }
+
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', () => {
+        const name = document.getElementById('grooveTemplate').value;
+        if (name && this.onDeleteGrooveTemplate) {
+          this.onDeleteGrooveTemplate(name);
+        }
+      });
+    }
+  }
+
+  /**
+   * Fill the groove template selector
+   * @param {Array} names - Names of the saved templates
+   * @param {string} selected - Template to select
+   */
+  setGrooveTemplates(names, selected = '') {
+    const select = document.getElementById('grooveTemplate');
+    if (!select) return;
+
+    select.innerHTML = '<option value="">使用しない（スタイルのルールを使用）</option>';
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = names.includes(selected) ? selected : '';
   }
 
   /**
@@ -128,7 +786,12 @@ export class UI {
     const sliders = [
       { slider: 'velocityVariation', value: 'velocityVariationValue' },
       { slider: 'timingVariation', value: 'timingVariationValue' },
-      { slider: 'dynamicRange', value: 'dynamicRangeValue' }
+      { slider: 'dynamicRange', value: 'dynamicRangeValue' },
+      { slider: 'swingRatio', value: 'swingRatioValue' },
+      { slider: 'grooveStrength', value: 'grooveStrengthValue' },
+      { slider: 'regionBlend', value: 'regionBlendValue' },
+      { slider: 'quantizeStrength', value: 'quantizeStrengthValue' },
+      { slider: 'quantizeWindow', value: 'quantizeWindowValue' }
     ];
 
     sliders.forEach(({ slider, value }) => {
@@ -176,14 +839,43 @@ export class UI {
       return;
     }
 
+    // Sliders set to 0 are valid values, only missing fields fall back to the default
+    const getNumber = (name, fallback) => {
+      const value = parseFloat(formData.get(name));
+      return Number.isFinite(value) ? value : fallback;
+    };
+
     const settings = {
       style: formData.get('style') || 'classical',
-      intensity: parseFloat(formData.get('intensity')) || 0.5,
+      intensity: getNumber('intensity', 0.5),
       seed: formData.get('seed') || null,
       phraseDetectionMode: formData.get('phraseDetectionMode') || 'auto',
-      velocityVariation: parseFloat(formData.get('velocityVariation')) || 1.0,
-      timingVariation: parseFloat(formData.get('timingVariation')) || 1.0,
-      dynamicRange: parseFloat(formData.get('dynamicRange')) || 1.0
+      rubato: formData.get('rubato') || 'off',
+      noiseModel: formData.get('noiseModel') || 'auto',
+      swing: formData.get('swing') || 'auto',
+      swingRatio: getNumber('swingRatio', 62),
+      quantize: formData.get('quantize') || 'off',
+      quantizeStrength: getNumber('quantizeStrength', 1.0),
+      quantizeWindow: getNumber('quantizeWindow', 1.0),
+      quantizeEnds: formData.get('quantizeEnds') === 'on',
+      anchors: formData.get('anchors') || 'off',
+      anchorEveryBars: getNumber('anchorEveryBars', 4),
+      anchorPositions: this.parseAnchorPositions(formData.get('anchorPositions') || ''),
+      grooveTemplate: formData.get('grooveTemplate') || '',
+      grooveStrength: getNumber('grooveStrength', 1.0),
+      useLearnedProfile: formData.get('useLearnedProfile') === 'on',
+      velocityVariation: getNumber('velocityVariation', 1.0),
+      timingVariation: getNumber('timingVariation', 1.0),
+      dynamicRange: getNumber('dynamicRange', 1.0),
+      chordRoll: formData.get('chordRoll') === 'on',
+      rollFinalCadence: formData.get('rollFinalCadence') === 'on',
+      sustainPedal: formData.get('sustainPedal') === 'on',
+      keepExistingPedal: formData.get('keepExistingPedal') === 'on',
+      excludeDrums: formData.get('excludeDrums') === 'on',
+      percussion: formData.get('percussion') === 'on',
+      trackSettings: this.getTrackSettings(),
+      regions: this.getRegions(),
+      regionBlend: getNumber('regionBlend', 1)
     };
 
     this.setProcessing(true);
@@ -291,8 +983,9 @@ export class UI {
    */
   buildResultsHTML(analysis) {
     const phraseCount = analysis?.tracks?.[0]?.phrasing?.length || 0;
-    const avgPhraseDuration = phraseCount > 0 ? 
-      analysis.tracks[0].phrasing.reduce((sum, p) => sum + (p.end - p.start), 0) / phraseCount / 1000 : 0;
+    const avgPhraseDuration = analysis?.enhancedFeatures?.averagePhraseDuration || 0; // Seconds, from the tempo map
+    const keys = (analysis?.harmony?.keys || []).map(key => key.name);
+    const progression = analysis?.enhancedFeatures?.harmonicProgression || [];
 
     return `
       <div class="result-header">
@@ -326,6 +1019,11 @@ export class UI {
             <span class="stat-label">平均フレーズ長:</span>
             <span class="stat-value">${avgPhraseDuration.toFixed(1)}秒</span>
           </div>
+          <div class="stat-item">
+            <span class="stat-label">推定調:</span>
+            <span class="stat-value">${keys.length > 0 ? keys.join(' → ') : '-'}</span>
+          </div>
+          ${this.buildProgressionHTML(progression)}
         </div>
         
         <button id="toggleDetailedAnalysis" class="toggle-button">
@@ -346,6 +1044,28 @@ export class UI {
     `;
   }
 
+  /**
+   * Roman numeral progression as chips colored by harmonic function
+   * @param {Array} progression - From HarmonicAnalyzer.summarize
+   */
+  buildProgressionHTML(progression) {
+    if (progression.length === 0) return '';
+
+    const functionLabels = { tonic: 'トニック', predominant: 'サブドミナント', dominant: 'ドミナント', other: 'その他' };
+    const chips = progression.map((chord, index) => {
+      const keyChange = index > 0 && chord.key !== progression[index - 1].key;
+      const label = functionLabels[chord.function];
+      return `${keyChange ? `<span class="progression-key">${chord.key}:</span>` : ''}` +
+        `<span class="progression-chord ${chord.function}" title="${chord.key} / ${label}">${chord.numeral}</span>`;
+    });
+
+    return `
+          <div class="harmonic-progression">
+            <span class="stat-label">和声進行 (${progression[0].key}):</span>
+            <div class="progression-chords">${chips.join('')}</div>
+          </div>`;
+  }
+
   /**
    * Setup result section event listeners
    */
@@ -493,6 +1213,15 @@ export class UI {
     this.onPlayOriginal = callbacks.onPlayOriginal;
     this.onPlayHumanized = callbacks.onPlayHumanized;
     this.onStopPlayback = callbacks.onStopPlayback;
+    this.onCreateGrooveTemplate = callbacks.onCreateGrooveTemplate;
+    this.onDeleteGrooveTemplate = callbacks.onDeleteGrooveTemplate;
+    this.onLearnProfile = callbacks.onLearnProfile;
+    this.onStyleChange = callbacks.onStyleChange;
+    this.onSaveStylePreset = callbacks.onSaveStylePreset;
+    this.onDeleteStylePreset = callbacks.onDeleteStylePreset;
+    this.onExportStylePreset = callbacks.onExportStylePreset;
+    this.onImportStylePresets = callbacks.onImportStylePresets;
+    this.onRegionsChange = callbacks.onRegionsChange;
   }
 
   /**
@@ -3,6 +3,15 @@
  * PicoTune-inspired MIDI visualizer with phrase boundaries
  */
 
+import { TempoMap } from './TempoMap.js';
+import { MeterMap } from './MeterMap.js';
+
+// Note colors of the hand separation
+const HAND_COLORS = {
+  left: '#42A5F5',
+  right: '#4CAF50'
+};
+
 export class Visualizer {
   constructor() {
     this.canvas = null;
@@ -18,7 +27,12 @@ export class Visualizer {
     this.phrases = [];
     this.originalNotes = [];
     this.humanizedNotes = [];
+    this.tempoMap = new TempoMap();
+    this.meterMap = new MeterMap();
     this.isPlaying = false;
+    this.regions = [];      // Humanized sections in ticks { start, end, name }
+    this.selection = null;  // Range being dragged { start, end } in ticks
+    this.onRegionSelect = null;
   }
 
   /**
@@ -50,6 +64,7 @@ export class Visualizer {
     
     // Add controls
     this.addControls(container);
+    this.setupRegionSelection();
     
     return true;
   }
@@ -109,13 +124,68 @@ export class Visualizer {
     if (comparisonModeBtn) comparisonModeBtn.addEventListener('click', () => this.setMode('comparison'));
   }
 
+  /**
+   * Select a section by dragging across the timeline
+   * The selected tick range is passed to onRegionSelect when the mouse is released.
+   */
+  setupRegionSelection() {
+    const endDrag = () => {
+      if (!this.selection) return;
+
+      const start = Math.min(this.selection.start, this.selection.end);
+      const end = Math.max(this.selection.start, this.selection.end);
+      const pixelsPerTick = this.timelineWidthPx / this.timelineTotalDuration;
+      this.selection = null;
+      this.render();
+
+      // Ignore clicks without a drag
+      if ((end - start) * pixelsPerTick >= 5 && this.onRegionSelect) {
+        this.onRegionSelect(start, end);
+      }
+    };
+
+    this.canvas.addEventListener('mousedown', (e) => {
+      if (this.currentMode !== 'timeline' || this.timelineTotalDuration === 0) return;
+      const tick = this.getTickAtClientX(e.clientX);
+      this.selection = { start: tick, end: tick };
+    });
+    this.canvas.addEventListener('mousemove', (e) => {
+      if (!this.selection) return;
+      this.selection.end = this.getTickAtClientX(e.clientX);
+      this.render();
+    });
+    this.canvas.addEventListener('mouseup', endDrag);
+    this.canvas.addEventListener('mouseleave', endDrag);
+  }
+
+  /**
+   * Tick position under a mouse position
+   */
+  getTickAtClientX(clientX) {
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (clientX - rect.left) * this.width / rect.width;
+    const pixelsPerTick = this.timelineWidthPx / this.timelineTotalDuration;
+    return Math.max(0, Math.min(this.timelineTotalDuration, (x + this.scrollPosition) / pixelsPerTick));
+  }
+
+  /**
+   * Set the humanized sections to highlight
+   * @param {Array} regions - Sections as { start, end, name } in ticks
+   */
+  setRegions(regions) {
+    this.regions = regions || [];
+    this.render();
+  }
+
   /**
    * Set data for visualization
    */
-  setData(originalNotes, humanizedNotes = null, phrases = []) {
+  setData(originalNotes, humanizedNotes = null, phrases = [], tempoMap = null, meterMap = null) {
     this.originalNotes = originalNotes || [];
     this.humanizedNotes = humanizedNotes || [];
     this.phrases = phrases || [];
+    this.tempoMap = tempoMap || new TempoMap();
+    this.meterMap = meterMap || new MeterMap(this.tempoMap.ticksPerQuarter);
     
     // Calculate timeline dimensions
     if (this.originalNotes.length > 0) {
@@ -226,6 +296,9 @@ export class Visualizer {
     
     // Draw phrase boundaries
     this.drawPhraseBoundaries(rollHeight);
+
+    // Draw humanized sections and the range being selected
+    this.drawRegions(rollHeight);
     
     // Draw info panel
     this.drawInfoPanel(noteRange);
@@ -335,21 +408,17 @@ export class Visualizer {
       this.ctx.lineTo(this.width, y);
     }
     
-    // Vertical lines (measures)
-    const beatsPerMeasure = 4;
-    const ticksPerBeat = 480;
-    const ticksPerMeasure = beatsPerMeasure * ticksPerBeat;
-    
+    // Vertical lines (measures, following the time signature changes)
     if (this.timelineTotalDuration > 0) {
       const pixelsPerTick = this.timelineWidthPx / this.timelineTotalDuration;
       
-      for (let tick = 0; tick < this.timelineTotalDuration; tick += ticksPerMeasure) {
-        const x = (tick * pixelsPerTick - this.scrollPosition) % this.width;
+      this.meterMap.getBarLines(this.timelineTotalDuration).forEach(tick => {
+        const x = tick * pixelsPerTick - this.scrollPosition;
         if (x >= 0 && x <= this.width) {
           this.ctx.moveTo(x, 0);
           this.ctx.lineTo(x, this.height - 60);
         }
-      }
+      });
     }
     
     this.ctx.stroke();
@@ -364,13 +433,14 @@ export class Visualizer {
     const pixelsPerTick = this.timelineWidthPx / this.timelineTotalDuration;
     
     this.ctx.globalAlpha = alpha;
-    this.ctx.fillStyle = color;
     
     notes.forEach(note => {
       const noteIndex = note.pitch - baseNote;
       if (noteIndex >= 0 && noteIndex < noteCount) {
+        // Humanized notes are colored by the hand that plays them
+        this.ctx.fillStyle = HAND_COLORS[note.hand] || color;
         const x = note.startTime * pixelsPerTick - this.scrollPosition;
-        const width = ((note.endTime || note.startTime + 480) - note.startTime) * pixelsPerTick;
+        const width = ((note.endTime || note.startTime + this.tempoMap.ticksPerQuarter) - note.startTime) * pixelsPerTick;
         const y = this.height - 60 - (noteIndex + 1) * noteHeight;
         
         // Only draw if visible in viewport
@@ -422,6 +492,42 @@ export class Visualizer {
     this.ctx.setLineDash([]);
   }
 
+  /**
+   * Draw humanized sections
+   */
+  drawRegions(rollHeight) {
+    if (this.timelineTotalDuration === 0) return;
+
+    const pixelsPerTick = this.timelineWidthPx / this.timelineTotalDuration;
+    const drawRange = (start, end, color) => {
+      const x = start * pixelsPerTick - this.scrollPosition;
+      const width = (end - start) * pixelsPerTick;
+      if (x + width < 0 || x > this.width) return null;
+
+      this.ctx.fillStyle = color;
+      this.ctx.fillRect(x, 0, width, rollHeight);
+      return x;
+    };
+
+    this.regions.forEach((region, index) => {
+      const x = drawRange(region.start, region.end, 'rgba(255, 235, 59, 0.12)');
+      if (x === null) return;
+
+      this.ctx.fillStyle = '#FFEB3B';
+      this.ctx.font = '12px sans-serif';
+      this.ctx.textAlign = 'left';
+      this.ctx.fillText(region.name || `R${index + 1}`, Math.max(0, x) + 5, rollHeight - 8);
+    });
+
+    if (this.selection) {
+      drawRange(
+        Math.min(this.selection.start, this.selection.end),
+        Math.max(this.selection.start, this.selection.end),
+        'rgba(33, 150, 243, 0.25)'
+      );
+    }
+  }
+
   /**
    * Draw info panel
    */
@@ -438,10 +544,11 @@ export class Visualizer {
     this.ctx.font = '12px sans-serif';
     this.ctx.textAlign = 'left';
     
-    const bpm = 120; // Default BPM
-    const timeSignature = '4/4';
-    const currentTime = this.formatTime(this.scrollPosition / (this.timelineWidthPx / this.timelineTotalDuration) * 1000 / 480);
-    const totalTime = this.formatTime(this.timelineTotalDuration * 1000 / 480);
+    const currentTick = this.getScrollTick();
+    const bpm = Math.round(this.tempoMap.getBPMAt(currentTick));
+    const timeSignature = this.meterMap.getTimeSignatureLabel(currentTick);
+    const currentTime = this.formatTime(this.tempoMap.ticksToSeconds(currentTick));
+    const totalTime = this.formatTime(this.tempoMap.ticksToSeconds(this.timelineTotalDuration));
     
     this.ctx.fillText(`BPM ${bpm}`, 10, y + 15);
     this.ctx.fillText(`BEAT ${timeSignature}`, 80, y + 15);
@@ -453,6 +560,14 @@ export class Visualizer {
       const highNoteName = this.getNoteNameFromMIDI(noteRange.highest);
       this.ctx.fillText(`RANGE ${lowNoteName}-${highNoteName} (${noteRange.count} keys)`, 250, y + 25);
     }
+
+    // Hand legend
+    if (this.humanizedNotes.some(note => note.hand)) {
+      this.ctx.fillStyle = HAND_COLORS.left;
+      this.ctx.fillText('■ 左手', this.width - 110, y + 25);
+      this.ctx.fillStyle = HAND_COLORS.right;
+      this.ctx.fillText('■ 右手', this.width - 55, y + 25);
+    }
   }
 
   /**
@@ -476,7 +591,7 @@ export class Visualizer {
     
     this.phrases.forEach((phrase, index) => {
       const y = index * blockHeight + 20;
-      const duration = (phrase.end - phrase.start) / 1000; // Convert to seconds
+      const duration = this.tempoMap.durationInSeconds(phrase.start, phrase.end);
       const noteCount = phrase.notes ? phrase.notes.length : 0;
       
       // Phrase block
@@ -499,7 +614,7 @@ export class Visualizer {
     });
     
     // Summary
-    const avgDuration = this.phrases.reduce((sum, p) => sum + (p.end - p.start), 0) / this.phrases.length / 1000;
+    const avgDuration = this.phrases.reduce((sum, p) => sum + this.tempoMap.durationInSeconds(p.start, p.end), 0) / this.phrases.length;
     const totalNotes = this.phrases.reduce((sum, p) => sum + (p.notes ? p.notes.length : 0), 0);
     
     this.ctx.fillStyle = '#fff';
@@ -537,7 +652,8 @@ export class Visualizer {
     this.drawComparisonBar('平均音量', originalStats.avgVelocity, humanizedStats?.avgVelocity, 127, chartY);
     
     // Average duration comparison
-    this.drawComparisonBar('平均音長', originalStats.avgDuration / 480, humanizedStats?.avgDuration / 480, 4, chartY + 100);
+    const ticksPerQuarter = this.tempoMap.ticksPerQuarter;
+    this.drawComparisonBar('平均音長', originalStats.avgDuration / ticksPerQuarter, humanizedStats?.avgDuration / ticksPerQuarter, 4, chartY + 100);
     
     // Note count
     this.drawComparisonBar('ノート数', originalStats.noteCount, humanizedStats?.noteCount, Math.max(originalStats.noteCount, humanizedStats?.noteCount || 0), chartY + 200);
@@ -595,7 +711,7 @@ export class Visualizer {
     }
     
     const velocities = notes.map(n => n.velocity || 64);
-    const durations = notes.map(n => (n.endTime || n.startTime + 480) - n.startTime);
+    const durations = notes.map(n => (n.endTime || n.startTime + this.tempoMap.ticksPerQuarter) - n.startTime);
     
     return {
       avgVelocity: velocities.reduce((sum, v) => sum + v, 0) / velocities.length,
@@ -626,9 +742,13 @@ export class Visualizer {
     if (progress === 0) {
       // At start, show beginning of timeline
       this.scrollPosition = 0;
-    } else {
-      // During playback, keep indicator centered and scroll content
-      this.scrollPosition = progress * this.timelineWidthPx - this.width * this.playbackPosition;
+    } else if (this.timelineTotalDuration > 0) {
+      // During playback, keep indicator centered and scroll content.
+      // Progress is measured in time, so map it through the tempo map to a tick position
+      const totalSeconds = this.tempoMap.ticksToSeconds(this.timelineTotalDuration);
+      const tick = this.tempoMap.secondsToTicks(progress * totalSeconds);
+      const pixelsPerTick = this.timelineWidthPx / this.timelineTotalDuration;
+      this.scrollPosition = tick * pixelsPerTick - this.width * this.playbackPosition;
     }
     this.render();
   }
@@ -645,6 +765,14 @@ export class Visualizer {
     this.render();
   }
 
+  /**
+   * Tick position at the left edge of the viewport
+   */
+  getScrollTick() {
+    if (this.timelineWidthPx === 0 || this.timelineTotalDuration === 0) return 0;
+    return Math.max(0, this.scrollPosition) / (this.timelineWidthPx / this.timelineTotalDuration);
+  }
+
   /**
    * Utility functions
    */
@@ -0,0 +1,70 @@
+/**
+ * Voicing Module
+ * Balances the voices of chords: melody lead, softer inner voices and a balanced bass
+ */
+
+import { NoteModel } from './NoteModel.js';
+import { StylePresets } from './StylePresets.js';
+
+export class Voicing {
+  /**
+   * Get voicing balance for a style (scaled by intensity)
+   * @param {string|Object} style - Style id or preset (see StylePresets)
+   */
+  getStyleSettings(style) {
+    return StylePresets.resolve(style).voicing;
+  }
+
+  /**
+   * Balance the voices of each simultaneity
+   * The melody (skyline) note is brought forward in velocity and onset; the bass and the
+   * inner voices are balanced separately.
+   * @param {Array} notes - Notes from NoteModel.extractNotes for the original track
+   * @param {Array} events - Humanized copy of the track (same indices as the original)
+   * @param {Object} context - { style, timingIntensity, velocityIntensity, tempoMap, window, rolledNotes }
+   */
+  apply(notes, events, context) {
+    const { style, timingIntensity, velocityIntensity, tempoMap, window, rolledNotes = new Set() } = context;
+    const settings = this.getStyleSettings(style);
+    const skyline = new Set(NoteModel.getSkyline(notes, window));
+    const groups = NoteModel.groupSimultaneous(notes, window).filter(group => group.length >= 2);
+
+    groups.forEach(group => {
+      const melody = group[group.length - 1];
+      if (!skyline.has(melody)) return;
+
+      const bass = this.findBass(group);
+
+      group.forEach(note => {
+        const event = events[note.noteOnIndex];
+
+        if (note === melody) {
+          event.velocity += settings.leadVelocity * velocityIntensity;
+        } else if (note === bass) {
+          event.velocity += settings.bassBalance * velocityIntensity;
+        } else {
+          event.velocity *= 1 - settings.innerSoftening * velocityIntensity;
+        }
+        event.velocity = Math.max(1, Math.min(127, event.velocity));
+      });
+
+      // Melody lead - rolled chords already have their own note order
+      if (!rolledNotes.has(melody)) {
+        const chordOnset = Math.min(...group.map(note => events[note.noteOnIndex].time));
+        const lead = tempoMap.secondsToTicksAt(chordOnset, settings.leadTime) * timingIntensity;
+        events[melody.noteOnIndex].time = Math.max(0, chordOnset - lead);
+      }
+    });
+  }
+
+  /**
+   * Find the bass note of a simultaneity
+   * Two-note simultaneities only have a bass when the lower note is an octave or more below.
+   * @param {Array} group - Simultaneous notes sorted from low to high pitch
+   * @returns {Object|null} Bass note
+   */
+  findBass(group) {
+    if (group.length >= 3) return group[0];
+    return group[1].pitch - group[0].pitch >= 12 ? group[0] : null;
+  }
+}